@@ -0,0 +1,397 @@
+#!/usr/bin/env node
+
+// Rebuild public/static.json from the War API.
+//
+// Pulls worldconquest/maps/{hex}/static for every hex, turns the Major and
+// Minor map labels into points, and rebuilds the per-town Voronoi cells
+// (seeded by the Major labels) clipped to each hex polygon with turf.
+//
+// Hex polygons are not part of the API, so their position on the world map
+// is carried over from the current static.json. A hex the API lists but the
+// current file doesn't know yet needs its top-left corner passed through
+// --layout (a JSON file of { "HexName": [x, y] }); without one the rebuild
+// fails unless --allow-missing says to write the file without that hex.
+//
+// Usage: node src/build-static.js [--dry-run] [--out file] [--layout file]
+//                                 [--allow-missing] [--shard able]
+
+import fs from "fs/promises";
+import { randomUUID } from "crypto";
+import * as turf from "@turf/turf";
+import WarApi from "./warapi.js";
+import logger from "./logger.js";
+import { getShard } from "./shards.js";
+import { STATIC_DATA_PATH, toWorldCoordinates } from "./static-data.js";
+
+// Corner offsets of a standard hex relative to its top-left box corner
+const HEX_OUTLINE = [
+  [505, 0],
+  [1537, 0],
+  [2042, -885],
+  [1537, -1776],
+  [505, -1776],
+  [0, -885],
+];
+
+function hexPolygonFromBox([boxX, boxY]) {
+  return {
+    type: "Polygon",
+    coordinates: [HEX_OUTLINE.map(([dx, dy]) => [boxX + dx, boxY + dy])],
+  };
+}
+
+// Fallback display name: "ReachingTrailHex" -> "Reaching Trail"
+function hexDisplayName(hexName) {
+  return hexName
+    .replace("Hex", "")
+    .replace(/([A-Z])/g, " $1")
+    .trim();
+}
+
+// Features are matched by hex, type and name so rebuilt features keep the
+// ids they had before and the diff stays readable
+function featureKey(region, type, notes) {
+  return `${region}|${type}|${notes}`;
+}
+
+function indexExisting(current) {
+  const regions = new Map();
+  const ids = new Map();
+
+  for (const feature of current?.features || []) {
+    const { type, region, notes } = feature.properties;
+    if (type === "Region") {
+      regions.set(feature.id, feature);
+    } else {
+      ids.set(featureKey(region, type, notes), feature.id);
+    }
+  }
+
+  return { regions, ids };
+}
+
+function closeRing(ring) {
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+}
+
+// Voronoi cells seeded by the Major labels, clipped to the hex outline
+function buildVoronoiCells(hexName, regionFeature, majorLabels, takeId) {
+  const hexPolygon = turf.polygon([
+    closeRing(regionFeature.geometry.coordinates[0]),
+  ]);
+
+  // Labels sharing a position would produce degenerate cells
+  const seen = new Set();
+  const seeds = majorLabels.filter((label) => {
+    const key = label.geometry.coordinates.join(",");
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (seeds.length === 0) return [];
+
+  const points = turf.featureCollection(
+    seeds.map((label) => turf.point(label.geometry.coordinates, label.properties)),
+  );
+  const cells = turf.voronoi(points, { bbox: turf.bbox(hexPolygon) });
+
+  const voronoi = [];
+  cells.features.forEach((cell, index) => {
+    if (!cell) return;
+
+    const clipped = turf.intersect(turf.featureCollection([cell, hexPolygon]));
+    if (!clipped) return;
+
+    const notes = seeds[index].properties.notes;
+    const id = takeId(hexName, "voronoi", notes);
+    voronoi.push({
+      type: "Feature",
+      geometry: clipped.geometry,
+      properties: { notes, region: hexName, type: "voronoi" },
+      id,
+    });
+  });
+
+  return voronoi;
+}
+
+// Build a static.json FeatureCollection from per-hex static map payloads.
+// `layout` maps hex names to a [x, y] top-left corner for hexes that aren't
+// in the current file yet.
+export function buildStaticData(staticMaps, current, { layout = {}, source } = {}) {
+  const existing = indexExisting(current);
+  const missingLayout = [];
+  const regions = [];
+  const labels = [];
+  const voronoi = [];
+
+  const takeId = (region, type, notes) =>
+    existing.ids.get(featureKey(region, type, notes)) || randomUUID();
+
+  for (const [hexName, staticMap] of Object.entries(staticMaps)) {
+    let regionFeature = existing.regions.get(hexName);
+
+    if (!regionFeature) {
+      if (!layout[hexName]) {
+        missingLayout.push(hexName);
+        continue;
+      }
+      regionFeature = {
+        type: "Feature",
+        geometry: hexPolygonFromBox(layout[hexName]),
+        properties: {
+          type: "Region",
+          notes: hexDisplayName(hexName),
+          id: hexName,
+          box: layout[hexName],
+        },
+        id: hexName,
+      };
+    }
+    regions.push(regionFeature);
+
+    const hexLabels = (staticMap.mapTextItems || [])
+      .filter(
+        (item) =>
+          item.mapMarkerType === "Major" || item.mapMarkerType === "Minor",
+      )
+      .map((item) => {
+        const id = takeId(hexName, item.mapMarkerType, item.text);
+        return {
+          type: "Feature",
+          geometry: {
+            type: "Point",
+            coordinates: toWorldCoordinates(item.x, item.y, regionFeature),
+          },
+          properties: {
+            id,
+            type: item.mapMarkerType,
+            notes: item.text,
+            region: hexName,
+          },
+          id,
+        };
+      });
+    labels.push(...hexLabels);
+
+    const majorLabels = hexLabels.filter((f) => f.properties.type === "Major");
+    try {
+      voronoi.push(
+        ...buildVoronoiCells(hexName, regionFeature, majorLabels, takeId),
+      );
+    } catch (error) {
+      logger.warn(`Failed to build Voronoi cells for ${hexName}:`, error.message);
+    }
+  }
+
+  const byType = (type) => labels.filter((f) => f.properties.type === type);
+
+  return {
+    data: {
+      type: "FeatureCollection",
+      version: (current?.version || 0) + 1,
+      generatedAt: new Date().toISOString(),
+      source,
+      features: [...regions, ...byType("Major"), ...byType("Minor"), ...voronoi],
+    },
+    missingLayout,
+  };
+}
+
+function summarize(data) {
+  const hexes = new Map();
+
+  for (const feature of data?.features || []) {
+    const { type } = feature.properties;
+    const hex = type === "Region" ? feature.id : feature.properties.region;
+    if (!hexes.has(hex)) {
+      hexes.set(hex, { region: null, labels: new Set(), voronoi: new Set() });
+    }
+    const entry = hexes.get(hex);
+
+    if (type === "Region") {
+      entry.region = feature;
+    } else if (type === "voronoi") {
+      entry.voronoi.add(feature.properties.notes);
+    } else {
+      entry.labels.add(`${type}:${feature.properties.notes}`);
+    }
+  }
+
+  return hexes;
+}
+
+// Compare two static.json documents hex by hex
+export function diffStaticData(current, next) {
+  const before = summarize(current);
+  const after = summarize(next);
+  const report = { addedHexes: [], removedHexes: [], changedHexes: [] };
+
+  for (const hex of after.keys()) {
+    if (!before.has(hex)) report.addedHexes.push(hex);
+  }
+
+  for (const [hex, old] of before) {
+    const updated = after.get(hex);
+    if (!updated) {
+      report.removedHexes.push(hex);
+      continue;
+    }
+
+    const change = {
+      hex,
+      addedLabels: [...updated.labels].filter((l) => !old.labels.has(l)),
+      removedLabels: [...old.labels].filter((l) => !updated.labels.has(l)),
+      addedCells: [...updated.voronoi].filter((v) => !old.voronoi.has(v)),
+      removedCells: [...old.voronoi].filter((v) => !updated.voronoi.has(v)),
+      geometryChanged:
+        JSON.stringify(old.region?.geometry) !==
+        JSON.stringify(updated.region?.geometry),
+    };
+
+    if (
+      change.addedLabels.length ||
+      change.removedLabels.length ||
+      change.addedCells.length ||
+      change.removedCells.length ||
+      change.geometryChanged
+    ) {
+      report.changedHexes.push(change);
+    }
+  }
+
+  return report;
+}
+
+export function formatDiffReport(report, current, next) {
+  const count = (data, type) =>
+    (data?.features || []).filter((f) => f.properties.type === type).length;
+
+  const lines = [
+    `static.json v${current?.version || 0} -> v${next.version}`,
+    ...["Region", "Major", "Minor", "voronoi"].map(
+      (type) => `  ${type}: ${count(current, type)} -> ${count(next, type)}`,
+    ),
+  ];
+
+  if (report.addedHexes.length) {
+    lines.push(`Added hexes: ${report.addedHexes.join(", ")}`);
+  }
+  if (report.removedHexes.length) {
+    lines.push(`Removed hexes: ${report.removedHexes.join(", ")}`);
+  }
+
+  for (const change of report.changedHexes) {
+    lines.push(`${change.hex}:`);
+    if (change.geometryChanged) lines.push("  hex outline changed");
+    change.addedLabels.forEach((l) => lines.push(`  + label ${l}`));
+    change.removedLabels.forEach((l) => lines.push(`  - label ${l}`));
+    change.addedCells.forEach((v) => lines.push(`  + cell ${v}`));
+    change.removedCells.forEach((v) => lines.push(`  - cell ${v}`));
+  }
+
+  if (
+    !report.addedHexes.length &&
+    !report.removedHexes.length &&
+    !report.changedHexes.length
+  ) {
+    lines.push("No hex, label or cell changes");
+  }
+
+  return lines.join("\n");
+}
+
+function parseArgs(argv) {
+  const args = {
+    dryRun: false,
+    out: STATIC_DATA_PATH,
+    layout: null,
+    allowMissing: false,
+    shard: undefined,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--dry-run":
+        args.dryRun = true;
+        break;
+      case "--out":
+        args.out = argv[++i];
+        break;
+      case "--layout":
+        args.layout = argv[++i];
+        break;
+      case "--allow-missing":
+        args.allowMissing = true;
+        break;
+      case "--shard":
+        args.shard = argv[++i];
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+async function readJson(path) {
+  try {
+    return JSON.parse(await fs.readFile(path, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const shard = getShard(args.shard);
+  const warApi = new WarApi(shard.host);
+
+  const current = await readJson(STATIC_DATA_PATH);
+  const layout = args.layout ? await readJson(args.layout) : {};
+
+  logger.info(`Fetching static map data from ${shard.host}...`);
+  const { hexes, failed } = await warApi.getStaticMap();
+  if (failed.length > 0) {
+    // A partial rebuild would silently drop hexes from the map
+    throw new Error(`Static data unavailable for: ${failed.join(", ")}`);
+  }
+
+  const { data, missingLayout } = buildStaticData(hexes, current, {
+    layout,
+    source: shard.host,
+  });
+
+  console.log(formatDiffReport(diffStaticData(current, data), current, data));
+  if (missingLayout.length > 0) {
+    console.log(
+      `No map position for: ${missingLayout.join(", ")} (pass --layout to place them)`,
+    );
+  }
+
+  if (args.dryRun) {
+    logger.info("Dry run, nothing written");
+    return;
+  }
+
+  // Like a failed fetch, a hex without a position would silently drop off
+  // the map
+  if (missingLayout.length > 0 && !args.allowMissing) {
+    throw new Error(
+      `No map position for: ${missingLayout.join(", ")}; pass --layout to place them, or --allow-missing to write without them`,
+    );
+  }
+
+  await fs.writeFile(args.out, JSON.stringify(data));
+  logger.info(`Wrote static.json v${data.version} to ${args.out}`);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    logger.error("✗ Static data rebuild failed:", error.message);
+    process.exit(1);
+  });
+}
@@ -1,15 +1,59 @@
+import { EventEmitter } from "events";
 import WarApi from "./warapi.js";
-import TownTracker from "./database.js";
-import fs from "fs/promises";
+import { createTracker } from "./storage.js";
+import HexRegistry from "./hex-registry.js";
+import TownRegistry from "./town-registry.js";
+import WarReportPoller from "./war-report-poller.js";
 import logger from "./logger.js";
+import { getRetentionPolicy } from "./retention.js";
+import PollScheduler, { getPollCadence } from "./poll-scheduler.js";
+import StalenessWatchdog from "./staleness-watchdog.js";
+import { fetchDynamicMaps } from "./fetch-pipeline.js";
+import { DEFAULT_SHARD, getShard } from "./shards.js";
+import { WarEvents } from "./war-events.js";
+import { countVictoryPoints, getRegionControl } from "./war-state.js";
 
-class DataUpdater {
-  constructor() {
-    this.warApi = new WarApi();
-    this.tracker = new TownTracker();
+const MAX_RECENT_CHANGESETS = 50;
+
+const isWarOver = (warInfo) =>
+  Boolean(warInfo?.conquestEndTime || (warInfo?.winner && warInfo.winner !== "NONE"));
+
+// Emits the events in war-events.js as poll cycles observe them; the
+// Terminus poster, web UI and logs all subscribe from outside
+class DataUpdater extends EventEmitter {
+  // `options.tracker` is the shard's shared tracker; one is created when
+  // the updater runs on its own
+  constructor(shard = DEFAULT_SHARD, options = {}) {
+    super();
+    // Every web client streaming events adds listeners
+    this.setMaxListeners(0);
+    this.shard = getShard(shard);
+    this.warApi = new WarApi(this.shard.host);
+    this.tracker = options.tracker || createTracker(this.shard.id);
+    this.hexRegistry = new HexRegistry(this.warApi);
+    this.townRegistry = new TownRegistry(this.hexRegistry);
+    this.warReportPoller = new WarReportPoller(
+      this.tracker,
+      this.warApi,
+      this.hexRegistry,
+    );
     this.isRunning = false;
-    this.updateInterval = 1 * 60 * 1000; // 1 minute
-    this.terminusPoster = null; // Will be set by the server
+    this.cadence = getPollCadence();
+    this.scheduler = new PollScheduler(
+      `Data updater (${this.shard.name})`,
+      () => this.updateData(),
+      () => this.chooseInterval(),
+      { jitter: this.cadence.jitter },
+    );
+    this.watchdog = new StalenessWatchdog(`Data updater (${this.shard.name})`);
+    this.hexETags = new Map(); // Last dynamic map version processed per hex
+    this.warNumber = null;
+    this.warInfo = null;
+    this.lastChangeset = null;
+    this.recentChangesets = [];
+    this.hexStates = new Map(); // Last controller and victory points per hex
+    this.victoryPoints = null;
+    this.legacyTownsRekeyed = false;
   }
 
   async start() {
@@ -19,15 +63,18 @@ class DataUpdater {
     }
 
     this.isRunning = true;
-    logger.info("Starting data updater service...");
+    logger.info(`Starting data updater service for ${this.shard.name}...`);
+
+    // Checked on its own timer so a stuck poll loop is noticed too
+    this.watchdog.start();
 
-    // Do initial update
-    await this.updateData();
+    // Do initial update, then keep polling on the adaptive schedule
+    await this.scheduler.start();
 
-    // Set up periodic updates
-    this.intervalId = setInterval(async () => {
-      await this.updateData();
-    }, this.updateInterval);
+    // War reports run on their own, slower schedule
+    this.warReportPoller.start().catch((error) => {
+      logger.error("Failed to start war report poller:", error);
+    });
   }
 
   stop() {
@@ -36,103 +83,343 @@ class DataUpdater {
     }
 
     this.isRunning = false;
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
-    }
+    this.scheduler.stop();
+    this.watchdog.stop();
+    this.warReportPoller.stop();
 
-    logger.info("Data updater service stopped");
+    logger.info(`Data updater service for ${this.shard.name} stopped`);
   }
 
   async updateData() {
     try {
-      logger.info("Updating town control data...");
+      logger.info(`Updating town control data for ${this.shard.name}...`);
 
-      // Load static data from local file (same as SVG generator)
-      const staticFile = await fs.readFile("/app/public/static.json", "utf8");
-      const staticData = JSON.parse(staticFile);
-      const regions = staticData.features.filter(
-        (f) => f.properties.type === "Region",
-      );
+      // Live hexes from the shared registry (same list as the SVG generator)
+      await this.hexRegistry.refresh();
+      const regions = this.hexRegistry.getLiveHexes();
 
-      let totalUpdates = 0;
-      let changedTowns = 0;
-
-      // Process each region
-      for (const region of regions) {
-        try {
-          const regionName = region.id;
-          logger.debug(`Processing region: ${regionName}`);
+      // Rows written before the town registry existed need its geometry
+      if (!this.legacyTownsRekeyed) {
+        this.rekeyLegacyTowns();
+      }
 
-          // Get dynamic data for this region
-          const dynamicData = await this.warApi.getDynamicMap(regionName);
+      // Each cycle gets an id so capture events can be grouped by poll
+      const pollId = Date.now();
+      // War state transitions, emitted once the cycle is stored
+      const warEvents = [];
+      try {
+        const warInfo = await this.warApi.war();
+        const previous = this.warInfo;
+        this.warInfo = warInfo;
+        this.warNumber = warInfo.warNumber;
 
-          if (!dynamicData || !dynamicData.mapItems) {
-            continue;
+        // A new war archives the old one; reprocess every hex from scratch
+        const archivedWar = this.tracker.syncWar(warInfo);
+        if (archivedWar != null) {
+          logger.info(
+            `New war detected (${archivedWar} -> ${warInfo.warNumber}), restarting tracking`,
+          );
+          this.hexETags.clear();
+          this.hexStates.clear();
+          this.victoryPoints = null;
+          this.watchdog.reset();
+          warEvents.push([WarEvents.NEW_WAR, { previousWarNumber: archivedWar }]);
+        } else if (previous?.warNumber === warInfo.warNumber) {
+          // Only transitions seen while running; a restart mid-resistance
+          // is not a new resistance phase
+          if (!previous.resistanceStartTime && warInfo.resistanceStartTime) {
+            warEvents.push([
+              WarEvents.RESISTANCE_STARTED,
+              {
+                resistanceStartTime: warInfo.resistanceStartTime,
+                winner: warInfo.winner,
+              },
+            ]);
+          }
+          if (!isWarOver(previous) && isWarOver(warInfo)) {
+            warEvents.push([
+              WarEvents.WAR_ENDED,
+              {
+                winner: warInfo.winner,
+                conquestEndTime: warInfo.conquestEndTime,
+              },
+            ]);
           }
+        }
+      } catch (error) {
+        logger.warn(
+          "Failed to fetch war number, keeping last known:",
+          error.message,
+        );
+      }
 
-          // Process conquerable towns in this region
-          const conquerableTowns = dynamicData.mapItems.filter(
-            (item) =>
-              this.warApi.isIconType(item.iconType) &&
-              this.warApi.iconTypes[item.iconType].conquer,
-          );
+      // Fetch first, then write the whole cycle in one transaction
+      const fetchedHexes = [];
+      const fetchedETags = new Map();
+      const fetchedStates = new Map();
+      let unchangedHexes = 0;
+      let answeredHexes = 0;
+      let circuitOpenLogged = false;
 
-          for (const town of conquerableTowns) {
-            const team = this.warApi.getTeam(town.teamId);
-            const notes = this.warApi.iconTypes[town.iconType].notes;
-
-            // Update town control in database
-            const result = this.tracker.updateTownControl(
-              town.iconType,
-              town.x,
-              town.y,
-              regionName,
-              team,
-              notes,
+      // Dynamic maps of every live hex, a few at a time. Hexes whose map
+      // hasn't changed since the last cycle come back unchanged.
+      await fetchDynamicMaps(
+        this.warApi,
+        regions.map((region) => region.id),
+        {
+          knownETags: this.hexETags,
+          onResult: (result, { completed, total }) => {
+            const regionName = result.hexId;
+            const { error } = result;
+
+            if (error) {
+              if (error.notFound) {
+                logger.debug(`Region ${regionName} is inactive (404), skipping`);
+              } else if (error.circuitOpen) {
+                // Remaining hexes are skipped; keep last known data
+                if (!circuitOpenLogged) {
+                  logger.warn(
+                    "War API circuit open, ending update cycle early. Keeping last known data.",
+                  );
+                  circuitOpenLogged = true;
+                }
+              } else {
+                logger.error(
+                  `Error processing region ${regionName}, keeping last known data:`,
+                  error.message,
+                );
+              }
+              return;
+            }
+
+            answeredHexes++;
+            this.watchdog.recordResponse(result.servedAt);
+            logger.debug(
+              `Region ${regionName} ${result.changed ? "fetched" : "unchanged"} (${completed}/${total})`,
             );
+            if (!result.changed) {
+              unchangedHexes++;
+              return;
+            }
 
-            if (result.changes > 0) {
-              changedTowns++;
-              logger.debug(`Town captured: ${notes} (${regionName}) -> ${team}`);
+            const dynamicData = result.data;
+            if (!dynamicData || !dynamicData.mapItems) {
+              return;
             }
-            totalUpdates++;
-          }
 
-          // Small delay to avoid overwhelming the API
-          await new Promise((resolve) => setTimeout(resolve, 100));
-        } catch (error) {
-          logger.error(`Error processing region ${region.id}:`, error.message);
-        }
+            // Process conquerable towns in this region
+            const towns = dynamicData.mapItems
+              .filter(
+                (item) =>
+                  this.warApi.isIconType(item.iconType) &&
+                  this.warApi.iconTypes[item.iconType].conquer,
+              )
+              .map((town) => ({
+                iconType: town.iconType,
+                x: town.x,
+                y: town.y,
+                team: this.warApi.getTeam(town.teamId),
+                notes: this.warApi.iconTypes[town.iconType].notes,
+              }));
+
+            const ids = this.townRegistry.resolveHex(regionName, towns);
+            towns.forEach((town, index) => {
+              town.id = ids[index];
+            });
+
+            fetchedHexes.push({
+              region: regionName,
+              lastUpdated: dynamicData.lastUpdated,
+              towns,
+            });
+            fetchedETags.set(regionName, result.etag);
+            this.watchdog.recordHex(regionName, dynamicData);
+            fetchedStates.set(regionName, {
+              control: getRegionControl(this.warApi, dynamicData),
+              victoryPoints: countVictoryPoints(dynamicData),
+            });
+          },
+        },
+      );
+
+      const changeset = this.tracker.applyPollCycle(fetchedHexes, {
+        warNumber: this.warNumber,
+        pollId,
+      });
+      changeset.unchangedHexes = unchangedHexes;
+      this.recordChangeset(changeset);
+
+      // Only remember hex versions once their towns are stored
+      for (const [regionName, etag] of fetchedETags) {
+        this.hexETags.set(regionName, etag);
       }
 
-      if (changedTowns > 0) {
-        logger.info(`Data update complete. ${changedTowns} towns changed (${totalUpdates} total tracked).`);
-      } else {
-        logger.info(`Data update complete. No changes (${totalUpdates} towns tracked).`);
+      // A cycle where every hex failed doesn't count as a successful poll
+      if (answeredHexes > 0) {
+        this.watchdog.recordPoll({ warOver: isWarOver(this.warInfo) });
       }
 
-      // If we have a Terminus poster, trigger it to post fresh data
-      if (this.terminusPoster) {
-        logger.info("Updating Terminus display...");
-        try {
-          // Get the fresh conquer status and pass it to the poster
-          const freshConquerStatus = this.getConquerStatus();
-          await this.terminusPoster.generateAndPostWithFreshData(
-            freshConquerStatus,
-          );
-        } catch (error) {
-          logger.error("Error triggering Terminus poster:", error);
+      this.logChangeset(changeset);
+      this.emitCycleEvents(changeset, warEvents, fetchedStates);
+    } catch (error) {
+      logger.error("Error updating data:", error);
+    }
+  }
+
+  // Emit what this cycle observed: war state first, then towns, victory
+  // points and hex control, and finally the cycle itself. Hexes seen for
+  // the first time since start (or since a new war) only set the baseline.
+  emitCycleEvents(changeset, warEvents, fetchedStates) {
+    const cycle = { pollId: changeset.pollId, observedAt: changeset.observedAt };
+
+    for (const [type, fields] of warEvents) {
+      this.emitEvent(type, cycle, fields);
+    }
+    for (const capture of changeset.captures) {
+      this.emitEvent(WarEvents.TOWN_CAPTURED, cycle, capture);
+    }
+    for (const neutralisation of changeset.neutralisations) {
+      this.emitEvent(WarEvents.TOWN_NEUTRALISED, cycle, neutralisation);
+    }
+
+    const controlChanges = [];
+    let victoryPointsChanged = false;
+    for (const [hexId, state] of fetchedStates) {
+      const previous = this.hexStates.get(hexId);
+      this.hexStates.set(hexId, state);
+      if (!previous) continue;
+
+      if (previous.control !== state.control) {
+        controlChanges.push({ hexId, from: previous.control, to: state.control });
+      }
+      if (
+        previous.victoryPoints.colonial !== state.victoryPoints.colonial ||
+        previous.victoryPoints.warden !== state.victoryPoints.warden
+      ) {
+        victoryPointsChanged = true;
+      }
+    }
+
+    const totals = { colonial: 0, warden: 0 };
+    for (const { victoryPoints } of this.hexStates.values()) {
+      totals.colonial += victoryPoints.colonial;
+      totals.warden += victoryPoints.warden;
+    }
+    if (victoryPointsChanged && this.victoryPoints) {
+      this.emitEvent(WarEvents.VICTORY_POINTS_CHANGED, cycle, {
+        previous: this.victoryPoints,
+        current: totals,
+        required: this.warInfo?.requiredVictoryTowns ?? null,
+      });
+    }
+    this.victoryPoints = totals;
+
+    for (const change of controlChanges) {
+      this.emitEvent(WarEvents.HEX_CONTROL_CHANGED, cycle, change);
+    }
+
+    this.emitEvent(WarEvents.CYCLE_COMPLETE, cycle, { changeset });
+  }
+
+  // Call each listener on its own so one failing (or rejecting) subscriber
+  // can't break the poll cycle or starve the others
+  emitEvent(type, cycle, fields = {}) {
+    const event = {
+      type,
+      shard: this.shard.id,
+      warNumber: this.warNumber,
+      ...cycle,
+      ...fields,
+    };
+
+    for (const listener of this.listeners(type)) {
+      try {
+        const result = listener(event);
+        if (result && typeof result.catch === "function") {
+          result.catch((error) => {
+            logger.error(`Error in ${type} listener:`, error);
+          });
         }
+      } catch (error) {
+        logger.error(`Error in ${type} listener:`, error);
       }
+    }
+  }
+
+  rekeyLegacyTowns() {
+    try {
+      const counts = this.tracker.rekeyLegacyTowns((region, town) =>
+        this.townRegistry.resolve(region, town),
+      );
+      if (counts.towns || counts.captureEvents || counts.archive) {
+        logger.info(
+          `Re-keyed legacy town ids: ${counts.towns} towns, ${counts.captureEvents} capture events, ${counts.archive} archived towns`,
+        );
+      }
+      this.legacyTownsRekeyed = true;
     } catch (error) {
-      logger.error("Error updating data:", error);
+      logger.error("Failed to re-key legacy town ids:", error);
     }
   }
 
-  // Set the Terminus poster instance
-  setTerminusPoster(poster) {
-    this.terminusPoster = poster;
+  // Poll faster while towns are changing hands, slower once nothing has
+  // happened for a while or the war is decided
+  chooseInterval() {
+    const { cadence, warInfo } = this;
+
+    if (warInfo?.resistanceStartTime) {
+      return { interval: cadence.resistance, reason: "resistance phase" };
+    }
+    if (isWarOver(warInfo)) {
+      return { interval: cadence.warOver, reason: "war over" };
+    }
+
+    const sawCaptures = (changeset) =>
+      changeset.captures.length > 0 || changeset.neutralisations.length > 0;
+    const recent = this.recentChangesets;
+
+    if (recent.slice(0, cadence.activeCycles).some(sawCaptures)) {
+      return { interval: cadence.active, reason: "recent captures" };
+    }
+    if (
+      recent.length >= cadence.quietCycles &&
+      !recent.slice(0, cadence.quietCycles).some(sawCaptures)
+    ) {
+      return { interval: cadence.quiet, reason: "quiet" };
+    }
+    return { interval: cadence.normal, reason: "normal" };
+  }
+
+  // Keep the last few changesets for the API
+  recordChangeset(changeset) {
+    this.lastChangeset = changeset;
+    this.recentChangesets.unshift(changeset);
+    this.recentChangesets.length = Math.min(
+      this.recentChangesets.length,
+      MAX_RECENT_CHANGESETS,
+    );
+  }
+
+  logChangeset(changeset) {
+    const { captures, neutralisations, newTowns, vanishedTowns } = changeset;
+    const tracked = `${changeset.hexes.length} hexes fetched, ${changeset.unchangedHexes} unchanged`;
+
+    if (!changeset.hasChanges) {
+      logger.info(`Data update complete. No changes (${tracked}).`);
+      return;
+    }
+
+    // Captures and neutralisations are logged as events (logWarEvents)
+    for (const town of vanishedTowns) {
+      logger.info(
+        `Town no longer on the map: ${town.notes || town.townId} (${town.region})`,
+      );
+    }
+
+    const changedTowns = captures.length + neutralisations.length;
+    logger.info(
+      `Data update complete. ${changedTowns} towns changed (${captures.length} captured, ${neutralisations.length} neutralised), ${newTowns.length} new, ${vanishedTowns.length} vanished (${tracked}).`,
+    );
   }
 
   // Get current conquerStatus data
@@ -140,9 +427,9 @@ class DataUpdater {
     return this.tracker.getConquerStatus();
   }
 
-  // Cleanup old records
-  cleanup() {
-    this.tracker.cleanupOldRecords();
+  // Roll up and prune history now, outside the server's schedule
+  cleanup(policy = getRetentionPolicy()) {
+    return this.tracker.runRetention(policy);
   }
 
   // Close connections
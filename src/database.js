@@ -1,111 +1,370 @@
 import Database from "better-sqlite3";
+import { mkdirSync } from "fs";
 import { fileURLToPath } from "url";
 import { dirname, join } from "path";
 import logger from "./logger.js";
+import { DEFAULT_SHARD } from "./shards.js";
+import { migrate } from "./migrations.js";
+import {
+  isCanonicalKey,
+  legacyTownId,
+  parseLegacyTownId,
+} from "./town-registry.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Each shard is tracked in its own database under DATA_DIR (data/ by
+// default). The default shard keeps the original towns.db so existing
+// deployments carry their history over.
+function defaultDatabasePath(shard) {
+  const dataDir = process.env.DATA_DIR || join(__dirname, "..", "data");
+  const fileName = shard === DEFAULT_SHARD ? "towns.db" : `towns-${shard}.db`;
+  return join(dataDir, fileName);
+}
+
+// Rollup periods, in milliseconds like every timestamp in the database
+const ROLLUP_PERIODS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+// Tracking storage: towns, wars, capture log, war reports and rollups.
+// Backed by a SQLite file, or by an in-memory SQLite database for tests and
+// one-shot renders. Create it through createTracker() in storage.js.
 class TownTracker {
-  constructor() {
-    this.dbPath = join(__dirname, "..", "data", "towns.db");
+  // `path` overrides where the database lives; ":memory:" keeps it in
+  // memory for the lifetime of the process
+  constructor(shard = DEFAULT_SHARD, { path = null } = {}) {
+    this.shard = shard;
+    this.dbPath = path || defaultDatabasePath(shard);
+    this.inMemory = this.dbPath === ":memory:";
+    if (!this.inMemory) {
+      mkdirSync(dirname(this.dbPath), { recursive: true });
+    }
     this.db = new Database(this.dbPath);
     this.initDatabase();
   }
 
   initDatabase() {
-    // Create towns table to track control changes
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS towns (
-        id TEXT PRIMARY KEY,
-        iconType TEXT NOT NULL,
-        x REAL NOT NULL,
-        y REAL NOT NULL,
-        region TEXT NOT NULL,
-        currentTeam TEXT NOT NULL,
-        lastTeam TEXT,
-        lastChange INTEGER NOT NULL,
-        notes TEXT,
-        created_at INTEGER DEFAULT (strftime('%s', 'now')),
-        updated_at INTEGER DEFAULT (strftime('%s', 'now'))
-      )
-    `);
+    // Apply any pending schema migrations (backs the file up first)
+    const version = migrate(this.db, this.dbPath);
+
+    logger.debug(`Database initialized (schema v${version})`);
+  }
 
-    // Create index for faster lookups
-    this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_towns_region ON towns(region);
-      CREATE INDEX IF NOT EXISTS idx_towns_coords ON towns(x, y);
+  // War currently being tracked (the newest war not yet archived)
+  getCurrentWar() {
+    const stmt = this.db.prepare(`
+      SELECT * FROM wars WHERE archivedAt IS NULL ORDER BY warNumber DESC LIMIT 1
     `);
 
-    logger.debug("Database initialized");
+    return stmt.get() || null;
   }
 
-  // Generate a unique ID for a town based on its coordinates and icon type
-  generateTownId(iconType, x, y) {
-    return `${iconType}_${Math.round(x * 1000)}_${Math.round(y * 1000)}`;
+  getCurrentWarNumber() {
+    return this.getCurrentWar()?.warNumber ?? null;
   }
 
-  // Update town control status
-  updateTownControl(iconType, x, y, region, team, notes = null) {
-    const townId = this.generateTownId(iconType, x, y);
-    const now = Date.now();
+  // Record the war reported by the API. When the war number moves on, the
+  // previous war's towns are archived and tracking restarts with an empty
+  // towns table. Returns the archived war number on rollover, else null.
+  syncWar(warInfo) {
+    if (!warInfo || warInfo.warNumber == null) return null;
 
-    // First, get the current town data if it exists
-    const currentTown = this.getTownControl(iconType, x, y);
+    return this.db.transaction(() => {
+      const current = this.getCurrentWar();
+      const now = Date.now();
 
-    let lastTeam = null;
-    let lastChange = now;
-    let teamChanged = false;
+      if (current && current.warNumber === warInfo.warNumber) {
+        this.db
+          .prepare(
+            `UPDATE wars SET conquestStartTime = ?, conquestEndTime = ?, resistanceStartTime = ?, winner = ? WHERE warNumber = ?`,
+          )
+          .run(
+            warInfo.conquestStartTime ?? null,
+            warInfo.conquestEndTime ?? null,
+            warInfo.resistanceStartTime ?? null,
+            warInfo.winner ?? null,
+            warInfo.warNumber,
+          );
+        return null;
+      }
 
-    if (currentTown) {
-      // If team has changed, update lastTeam and lastChange
-      if (currentTown.currentTeam !== team) {
-        lastTeam = currentTown.currentTeam;
-        lastChange = now;
-        teamChanged = true;
+      let archived = null;
+      if (current) {
+        this.archiveWar(current.warNumber, now);
+        archived = current.warNumber;
       } else {
-        // Team hasn't changed, keep existing values
-        lastTeam = currentTown.lastTeam;
-        lastChange = currentTown.lastChange;
+        // First war seen by this database: towns tracked before wars were
+        // recorded belong to it
+        this.db
+          .prepare(`UPDATE towns SET warNumber = ? WHERE warNumber IS NULL`)
+          .run(warInfo.warNumber);
       }
+
+      this.db
+        .prepare(
+          `INSERT OR REPLACE INTO wars
+          (warNumber, firstSeenAt, conquestStartTime, conquestEndTime, resistanceStartTime, winner, archivedAt)
+          VALUES (?, ?, ?, ?, ?, ?, NULL)`,
+        )
+        .run(
+          warInfo.warNumber,
+          now,
+          warInfo.conquestStartTime ?? null,
+          warInfo.conquestEndTime ?? null,
+          warInfo.resistanceStartTime ?? null,
+          warInfo.winner ?? null,
+        );
+
+      if (archived != null) {
+        logger.info(
+          `War ${archived} archived, tracking restarted for war ${warInfo.warNumber}`,
+        );
+      } else {
+        logger.info(`Tracking war ${warInfo.warNumber}`);
+      }
+      return archived;
+    })();
+  }
+
+  // Move a war's towns into towns_archive and close it
+  archiveWar(warNumber, archivedAt = Date.now()) {
+    this.db
+      .prepare(
+        `INSERT OR REPLACE INTO towns_archive
+        (warNumber, id, iconType, x, y, region, currentTeam, lastTeam, lastChange, notes, baseline, archivedAt)
+        SELECT ?, id, iconType, x, y, region, currentTeam, lastTeam, lastChange, notes, baseline, ?
+        FROM towns WHERE warNumber = ? OR warNumber IS NULL`,
+      )
+      .run(warNumber, archivedAt, warNumber);
+
+    this.db.prepare(`DELETE FROM towns`).run();
+    this.db
+      .prepare(`UPDATE wars SET archivedAt = ? WHERE warNumber = ?`)
+      .run(archivedAt, warNumber);
+  }
+
+  // Every war this database has tracked, newest first
+  getWars() {
+    const stmt = this.db.prepare(`
+      SELECT w.*,
+        (SELECT COUNT(*) FROM capture_events e WHERE e.warNumber = w.warNumber) AS captureEvents
+      FROM wars w
+      ORDER BY w.warNumber DESC
+    `);
+
+    return stmt.all();
+  }
+
+  getWar(warNumber) {
+    const stmt = this.db.prepare(`SELECT * FROM wars WHERE warNumber = ?`);
+    return stmt.get(warNumber) || null;
+  }
+
+  // Final (archived) or current town ownership for a war
+  getTownsForWar(warNumber) {
+    if (warNumber === this.getCurrentWarNumber()) {
+      return this.getAllTowns();
     }
 
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO towns
-      (id, iconType, x, y, region, currentTeam, lastTeam, lastChange, notes, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      SELECT * FROM towns_archive WHERE warNumber = ? ORDER BY region, x, y
     `);
 
-    const result = stmt.run(
-      townId,
-      iconType,
-      x,
-      y,
-      region,
-      team,
-      lastTeam,
-      lastChange,
-      notes,
-      now,
-    );
+    return stmt.all(warNumber);
+  }
+
+  // Legacy coordinate-based town id, used for towns the town registry can't
+  // place in a Voronoi cell
+  generateTownId(iconType, x, y) {
+    return legacyTownId(iconType, x, y);
+  }
 
-    if (teamChanged) {
-      logger.info(
-        `Town captured: ${notes || townId} (${region}) ${lastTeam} -> ${team}`,
+  // Move rows still stored under legacy iconType_x_y ids to the canonical
+  // "Hex/Town" keys. `resolve(region, { iconType, x, y })` returns the new
+  // key. Rows that end up on the same key (e.g. a town hall that was
+  // upgraded and got a second row) are merged, keeping the most recently
+  // seen one. Returns how many rows were re-keyed per table.
+  rekeyLegacyTowns(resolve) {
+    const counts = { towns: 0, captureEvents: 0, archive: 0 };
+
+    this.db.transaction(() => {
+      const select = this.db.prepare(`SELECT * FROM towns WHERE id = ?`);
+      const remove = this.db.prepare(`DELETE FROM towns WHERE id = ?`);
+      const rename = this.db.prepare(`UPDATE towns SET id = ? WHERE id = ?`);
+
+      // Oldest first, so the newest row wins when several share a key
+      const towns = this.db
+        .prepare(`SELECT * FROM towns WHERE instr(id, '/') = 0 ORDER BY updated_at`)
+        .all();
+      for (const town of towns) {
+        const key = resolve(town.region, town);
+        if (!isCanonicalKey(key)) continue;
+
+        const existing = select.get(key);
+        if (existing) {
+          if (existing.updated_at >= town.updated_at) {
+            remove.run(town.id);
+            counts.towns++;
+            continue;
+          }
+          remove.run(key);
+        }
+        rename.run(key, town.id);
+        counts.towns++;
+      }
+
+      // Capture events and archived towns only carry the legacy id, which
+      // encodes the coordinates
+      const events = this.db
+        .prepare(
+          `SELECT DISTINCT townId, region FROM capture_events WHERE instr(townId, '/') = 0`,
+        )
+        .all();
+      const renameEvents = this.db.prepare(
+        `UPDATE capture_events SET townId = ? WHERE townId = ? AND region = ?`,
       );
-    }
+      for (const { townId, region } of events) {
+        const town = parseLegacyTownId(townId);
+        const key = town && resolve(region, town);
+        if (!isCanonicalKey(key)) continue;
+        counts.captureEvents += renameEvents.run(key, townId, region).changes;
+      }
 
-    logger.debug(
-      `Updated town ${townId}: team=${team}, lastChange=${new Date(now).toISOString()}`,
-    );
+      const archived = this.db
+        .prepare(
+          `SELECT warNumber, id, region, iconType, x, y FROM towns_archive WHERE instr(id, '/') = 0 ORDER BY lastChange`,
+        )
+        .all();
+      const renameArchived = this.db.prepare(
+        `UPDATE OR REPLACE towns_archive SET id = ? WHERE warNumber = ? AND id = ?`,
+      );
+      for (const town of archived) {
+        const key = resolve(town.region, town);
+        if (!isCanonicalKey(key)) continue;
+        counts.archive += renameArchived.run(key, town.warNumber, town.id).changes;
+      }
+    })();
 
-    return result;
+    return counts;
   }
 
-  // Get town control status
-  getTownControl(iconType, x, y) {
-    const townId = this.generateTownId(iconType, x, y);
+  // Apply one poll cycle in a single transaction and return what changed.
+  //
+  // `hexes` holds every hex whose dynamic map was fetched this cycle, as
+  // { region, lastUpdated, towns: [{ id, iconType, x, y, team, notes }] },
+  // `id` being the town's canonical key (see TownRegistry). Towns are only
+  // compared within those hexes: a hex that was skipped (unchanged, 404 or
+  // failed) keeps its rows untouched, so only towns missing from a hex we
+  // actually fetched count as vanished.
+  //
+  // Changes of team are appended to capture_events, tagged with the war and
+  // poll cycle they were observed in. A change to "" (no team) is reported
+  // as a neutralisation rather than a capture. A town hall tier upgrade
+  // keeps its key, so it only updates the icon and position.
+  //
+  // A town seen for the first time was captured at some unknown point
+  // before we started watching, so it is stored as a baseline town. Its
+  // lastChange is seeded from the hex's lastUpdated (the town can't have
+  // changed after that) and it stays out of recent captures and fading
+  // until it actually flips.
+  applyPollCycle(hexes, { warNumber = null, pollId = null } = {}) {
+    const now = Date.now();
+    warNumber = warNumber ?? this.getCurrentWarNumber();
+
+    const changeset = {
+      pollId,
+      warNumber,
+      observedAt: now,
+      hexes: hexes.map((hex) => hex.region),
+      captures: [],
+      neutralisations: [],
+      newTowns: [],
+      vanishedTowns: [],
+      unchangedTowns: 0,
+    };
+
+    const selectRegion = this.db.prepare(`SELECT * FROM towns WHERE region = ?`);
+    const insertTown = this.db.prepare(`
+      INSERT INTO towns
+      (id, iconType, x, y, region, currentTeam, lastTeam, lastChange, notes, warNumber, created_at, updated_at, baseline)
+      VALUES (?, ?, ?, ?, ?, ?, NULL, ?, ?, ?, ?, ?, 1)
+    `);
+    const updateTeam = this.db.prepare(`
+      UPDATE towns SET currentTeam = ?, lastTeam = ?, lastChange = ?, iconType = ?, x = ?, y = ?, notes = ?, warNumber = ?, updated_at = ?, baseline = 0
+      WHERE id = ?
+    `);
+    const touchTown = this.db.prepare(`
+      UPDATE towns SET iconType = ?, x = ?, y = ?, notes = ?, updated_at = ? WHERE id = ?
+    `);
+    const deleteTown = this.db.prepare(`DELETE FROM towns WHERE id = ?`);
+    const insertEvent = this.db.prepare(`
+      INSERT INTO capture_events
+      (townId, region, notes, fromTeam, toTeam, observedAt, warNumber, pollId)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      for (const { region, towns, lastUpdated } of hexes) {
+        const existing = new Map(
+          selectRegion.all(region).map((town) => [town.id, town]),
+        );
+
+        for (const { id, iconType, x, y, team, notes = null } of towns) {
+          const townId = id ?? this.generateTownId(iconType, x, y);
+          const current = existing.get(townId);
+          existing.delete(townId);
+
+          if (!current) {
+            const seenSince = Math.min(lastUpdated || now, now);
+            insertTown.run(townId, iconType, x, y, region, team, seenSince, notes, warNumber, now, now);
+            changeset.newTowns.push({ townId, region, notes, team });
+            continue;
+          }
+
+          if (current.currentTeam === team) {
+            touchTown.run(iconType, x, y, notes, now, townId);
+            changeset.unchangedTowns++;
+            continue;
+          }
+
+          updateTeam.run(team, current.currentTeam, now, iconType, x, y, notes, warNumber, now, townId);
+          insertEvent.run(townId, region, notes, current.currentTeam, team, now, warNumber, pollId);
+
+          const change = { townId, region, notes, fromTeam: current.currentTeam, toTeam: team };
+          if (team) {
+            changeset.captures.push(change);
+          } else {
+            changeset.neutralisations.push(change);
+          }
+        }
+
+        // Whatever is left was tracked in this hex but is no longer on its map
+        for (const town of existing.values()) {
+          deleteTown.run(town.id);
+          changeset.vanishedTowns.push({
+            townId: town.id,
+            region,
+            notes: town.notes,
+            team: town.currentTeam,
+          });
+        }
+      }
+    })();
 
+    changeset.hasChanges =
+      changeset.captures.length > 0 ||
+      changeset.neutralisations.length > 0 ||
+      changeset.newTowns.length > 0 ||
+      changeset.vanishedTowns.length > 0;
+
+    return changeset;
+  }
+
+  // Get town control status
+  getTownControl(townId) {
     const stmt = this.db.prepare(`
       SELECT * FROM towns WHERE id = ?
     `);
@@ -146,29 +405,327 @@ class TownTracker {
         x: town.x,
         y: town.y,
         region: town.region,
+        baseline: Boolean(town.baseline),
       };
     });
 
     return {
       version: Date.now().toString(),
       features: features,
-      warNumber: 127, // This should be dynamic
+      warNumber: this.getCurrentWarNumber(),
       full: true,
     };
   }
 
-  // Clean up old records (optional)
-  cleanupOldRecords(daysToKeep = 30) {
-    const cutoffTime = Date.now() - daysToKeep * 24 * 60 * 60 * 1000;
+  // Query the capture log. All filters are optional:
+  //   since / until  observedAt range in epoch ms (inclusive / exclusive)
+  //   region         hex name, e.g. "ReachingTrailHex"
+  //   townId         tracked town id
+  //   team           team that took the town ("Warden", "Colonial", "" for neutral)
+  //   warNumber      war the capture happened in
+  //   limit          maximum rows, newest first
+  getCaptureEvents({
+    since = null,
+    until = null,
+    region = null,
+    townId = null,
+    team = null,
+    warNumber = null,
+    limit = 500,
+  } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (since != null) {
+      conditions.push("observedAt >= ?");
+      params.push(since);
+    }
+    if (until != null) {
+      conditions.push("observedAt < ?");
+      params.push(until);
+    }
+    if (region != null) {
+      conditions.push("region = ?");
+      params.push(region);
+    }
+    if (townId != null) {
+      conditions.push("townId = ?");
+      params.push(townId);
+    }
+    if (team != null) {
+      conditions.push("toTeam = ?");
+      params.push(team);
+    }
+    if (warNumber != null) {
+      conditions.push("warNumber = ?");
+      params.push(warNumber);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+    const stmt = this.db.prepare(`
+      SELECT * FROM capture_events ${where}
+      ORDER BY observedAt DESC, id DESC
+      LIMIT ?
+    `);
+
+    return stmt.all(...params, limit);
+  }
+
+  // Capture history of a single town, oldest first
+  getTownHistory(townId) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM capture_events WHERE townId = ? ORDER BY observedAt, id
+    `);
+
+    return stmt.all(townId);
+  }
+
+  // Store a war report for a hex, skipping it if the report version hasn't
+  // moved since the last stored row
+  recordWarReport(region, report, warNumber = null) {
+    const latest = this.db
+      .prepare(
+        `SELECT version FROM war_reports WHERE region = ? ORDER BY observedAt DESC LIMIT 1`,
+      )
+      .get(region);
+
+    if (latest && report.version != null && latest.version === report.version) {
+      return { changes: 0 };
+    }
+
+    const stmt = this.db.prepare(`
+      INSERT INTO war_reports
+      (region, observedAt, warNumber, dayOfWar, totalEnlistments, colonialCasualties, wardenCasualties, version)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    return stmt.run(
+      region,
+      Date.now(),
+      warNumber,
+      report.dayOfWar ?? null,
+      report.totalEnlistments ?? 0,
+      report.colonialCasualties ?? 0,
+      report.wardenCasualties ?? 0,
+      report.version ?? null,
+    );
+  }
+
+  // Latest war report for every hex, limited to the current war once one
+  // is known so a new war doesn't inherit the previous war's counters
+  getLatestWarReports(warNumber = this.getCurrentWarNumber()) {
+    const stmt = this.db.prepare(`
+      SELECT r.* FROM war_reports r
+      JOIN (
+        SELECT region, MAX(observedAt) AS observedAt FROM war_reports
+        WHERE ? IS NULL OR warNumber = ?
+        GROUP BY region
+      ) latest ON latest.region = r.region AND latest.observedAt = r.observedAt
+      ORDER BY r.region
+    `);
+
+    return stmt.all(warNumber, warNumber);
+  }
 
+  // War report time series for a hex
+  getWarReportHistory(region, since = 0) {
     const stmt = this.db.prepare(`
-      DELETE FROM towns WHERE updated_at < ?
+      SELECT * FROM war_reports
+      WHERE region = ? AND observedAt >= ?
+      ORDER BY observedAt
+    `);
+
+    return stmt.all(region, since);
+  }
+
+  // Casualty totals per faction across all hexes, plus how many were added
+  // over the last `windowMs`. Each hex's increase is measured from its last
+  // report of the current war before the window (or, when the war started
+  // inside the window, its first report of the war), so
+  // `coveredMs` tells how much of the window we actually have data for.
+  getCasualtySummary(windowMs = 24 * 60 * 60 * 1000) {
+    const cutoff = Date.now() - windowMs;
+    const latest = this.getLatestWarReports();
+    const baselineStmt = this.db.prepare(`
+      SELECT * FROM war_reports
+      WHERE region = ? AND warNumber IS ? AND observedAt <= ?
+      ORDER BY observedAt DESC LIMIT 1
     `);
+    const earliestStmt = this.db.prepare(`
+      SELECT * FROM war_reports
+      WHERE region = ? AND warNumber IS ?
+      ORDER BY observedAt ASC LIMIT 1
+    `);
+
+    const summary = {
+      colonial: { total: 0, recent: 0 },
+      warden: { total: 0, recent: 0 },
+      totalEnlistments: 0,
+      windowMs,
+      coveredMs: 0,
+      hexes: latest.length,
+    };
+    let oldestBaseline = Date.now();
+
+    for (const report of latest) {
+      summary.colonial.total += report.colonialCasualties;
+      summary.warden.total += report.wardenCasualties;
+      summary.totalEnlistments += report.totalEnlistments;
 
-    const result = stmt.run(cutoffTime);
-    console.log(`Cleaned up ${result.changes} old records`);
+      const baseline =
+        baselineStmt.get(report.region, report.warNumber, cutoff) ||
+        earliestStmt.get(report.region, report.warNumber);
 
-    return result;
+      summary.colonial.recent += Math.max(
+        0,
+        report.colonialCasualties - baseline.colonialCasualties,
+      );
+      summary.warden.recent += Math.max(
+        0,
+        report.wardenCasualties - baseline.wardenCasualties,
+      );
+      oldestBaseline = Math.min(oldestBaseline, Math.max(baseline.observedAt, cutoff));
+    }
+
+    if (latest.length > 0) {
+      summary.coveredMs = Date.now() - oldestBaseline;
+    }
+
+    return summary;
+  }
+
+  // Aggregate war reports and capture events into hourly and daily
+  // rollups, one row per war in a period that spans a rollover. Only
+  // complete periods are written, and re-running is safe: a period is
+  // recomputed from whatever detail rows it still has.
+  rollupHistory(now = Date.now()) {
+    const counts = {};
+
+    for (const [period, size] of Object.entries(ROLLUP_PERIODS)) {
+      const completeBefore = Math.floor(now / size) * size;
+
+      // Period sizes are inlined rather than bound: bound numbers arrive as
+      // REAL and would turn the bucketing into floating point division.
+      // With a single MAX() aggregate SQLite takes the bare columns from
+      // the row holding the maximum, i.e. the last report of the period
+      const warReports = this.db
+        .prepare(
+          `INSERT OR REPLACE INTO war_report_rollups
+          (period, periodStart, region, warNumber, samples, totalEnlistments, colonialCasualties, wardenCasualties)
+          SELECT ?, periodStart, region, warNumber, samples, totalEnlistments, colonialCasualties, wardenCasualties
+          FROM (
+            SELECT (observedAt / ${size}) * ${size} AS periodStart, region, warNumber, COUNT(*) AS samples,
+              totalEnlistments, colonialCasualties, wardenCasualties, MAX(observedAt)
+            FROM war_reports WHERE observedAt < ?
+            GROUP BY region, warNumber, observedAt / ${size}
+          )`,
+        )
+        .run(period, completeBefore);
+
+      const captures = this.db
+        .prepare(
+          `INSERT OR REPLACE INTO capture_rollups
+          (period, periodStart, region, toTeam, warNumber, captures)
+          SELECT ?, (observedAt / ${size}) * ${size}, region, toTeam, warNumber, COUNT(*)
+          FROM capture_events WHERE observedAt < ?
+          GROUP BY region, toTeam, warNumber, observedAt / ${size}`,
+        )
+        .run(period, completeBefore);
+
+      counts[period] = {
+        warReports: warReports.changes,
+        captureEvents: captures.changes,
+      };
+    }
+
+    return counts;
+  }
+
+  // Roll history up, then delete detail older than the given ages (in
+  // milliseconds; null keeps it forever). Cutoffs are rounded down to a
+  // day boundary so no rollup period is ever left half deleted. Live towns
+  // and archived wars are never touched. Returns what was rolled up and
+  // how many rows were pruned from each table.
+  runRetention(
+    { warReportMaxAge = null, captureEventMaxAge = null, hourlyRollupMaxAge = null } = {},
+    now = Date.now(),
+  ) {
+    const cutoff = (maxAge) =>
+      maxAge
+        ? Math.floor((now - maxAge) / ROLLUP_PERIODS.day) * ROLLUP_PERIODS.day
+        : null;
+
+    return this.db.transaction(() => {
+      const rolledUp = this.rollupHistory(now);
+      const cutoffs = {
+        warReports: cutoff(warReportMaxAge),
+        captureEvents: cutoff(captureEventMaxAge),
+        hourlyRollups: cutoff(hourlyRollupMaxAge),
+      };
+      const pruned = { warReports: 0, captureEvents: 0, hourlyRollups: 0 };
+
+      if (cutoffs.warReports != null) {
+        pruned.warReports = this.db
+          .prepare(`DELETE FROM war_reports WHERE observedAt < ?`)
+          .run(cutoffs.warReports).changes;
+      }
+      if (cutoffs.captureEvents != null) {
+        pruned.captureEvents = this.db
+          .prepare(`DELETE FROM capture_events WHERE observedAt < ?`)
+          .run(cutoffs.captureEvents).changes;
+      }
+      if (cutoffs.hourlyRollups != null) {
+        pruned.hourlyRollups =
+          this.db
+            .prepare(`DELETE FROM war_report_rollups WHERE period = 'hour' AND periodStart < ?`)
+            .run(cutoffs.hourlyRollups).changes +
+          this.db
+            .prepare(`DELETE FROM capture_rollups WHERE period = 'hour' AND periodStart < ?`)
+            .run(cutoffs.hourlyRollups).changes;
+      }
+
+      return { ranAt: now, rolledUp, cutoffs, pruned };
+    })();
+  }
+
+  // Hourly or daily capture counts, oldest first
+  getCaptureRollups({ period = "day", since = null, region = null } = {}) {
+    const conditions = ["period = ?"];
+    const params = [period];
+    if (since != null) {
+      conditions.push("periodStart >= ?");
+      params.push(since);
+    }
+    if (region) {
+      conditions.push("region = ?");
+      params.push(region);
+    }
+
+    return this.db
+      .prepare(
+        `SELECT * FROM capture_rollups WHERE ${conditions.join(" AND ")} ORDER BY periodStart, warNumber, region, toTeam`,
+      )
+      .all(...params);
+  }
+
+  // Hourly or daily war report counters, oldest first
+  getWarReportRollups({ period = "day", since = null, region = null } = {}) {
+    const conditions = ["period = ?"];
+    const params = [period];
+    if (since != null) {
+      conditions.push("periodStart >= ?");
+      params.push(since);
+    }
+    if (region) {
+      conditions.push("region = ?");
+      params.push(region);
+    }
+
+    return this.db
+      .prepare(
+        `SELECT * FROM war_report_rollups WHERE ${conditions.join(" AND ")} ORDER BY periodStart, warNumber, region`,
+      )
+      .all(...params);
   }
 
   // Close database connection
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+// Export, import and back up a shard's tracking database.
+//
+// Exports are JSON (one document) or NDJSON (a header line, then one
+// { table, row } line per row) and can be limited to a single war. Imports
+// merge a dump into the current database without touching rows it already
+// has, so a dashboard can be moved to a fresh host and keep its capture
+// timeline. Backups are consistent copies of the live SQLite file made with
+// the online backup API.
+//
+// Usage:
+//   node src/db-admin.js export [--shard able] [--war 127] [--format json|ndjson] [--out file]
+//   node src/db-admin.js import <file> [--shard able]
+//   node src/db-admin.js backup [--shard able] [--out file]
+
+import fs from "fs/promises";
+import { createTracker } from "./storage.js";
+import logger from "./logger.js";
+import { getShard } from "./shards.js";
+import { SCHEMA_VERSION, backupPathFor } from "./migrations.js";
+
+export const DUMP_FORMAT = "foxhole-svg-export";
+
+// Exported tables and the columns that identify a row across databases.
+// Autoincrement ids are local to each database and dropped on import.
+const TABLES = {
+  wars: { key: ["warNumber"] },
+  towns: { key: ["id"] },
+  towns_archive: { key: ["warNumber", "id"] },
+  capture_events: { key: ["townId", "observedAt", "toTeam"], autoId: true },
+  war_reports: { key: ["region", "observedAt"], autoId: true },
+  war_report_rollups: { key: ["period", "periodStart", "region", "warNumber"] },
+  capture_rollups: {
+    key: ["period", "periodStart", "region", "toTeam", "warNumber"],
+  },
+};
+
+function selectRows(tracker, table, warNumber) {
+  return warNumber != null
+    ? tracker.db
+        .prepare(`SELECT * FROM ${table} WHERE warNumber = ?`)
+        .iterate(warNumber)
+    : tracker.db.prepare(`SELECT * FROM ${table}`).iterate();
+}
+
+function dumpHeader(tracker, warNumber) {
+  return {
+    format: DUMP_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    shard: tracker.shard,
+    warNumber: warNumber ?? null,
+    exportedAt: new Date().toISOString(),
+  };
+}
+
+// Whole database (or one war) as a single JSON document
+export function exportDump(tracker, { warNumber = null } = {}) {
+  const tables = {};
+  for (const table of Object.keys(TABLES)) {
+    tables[table] = [...selectRows(tracker, table, warNumber)];
+  }
+
+  return { ...dumpHeader(tracker, warNumber), tables };
+}
+
+// Same content as NDJSON lines, read row by row so large histories don't
+// have to fit in memory
+export function* exportNdjsonLines(tracker, { warNumber = null } = {}) {
+  yield JSON.stringify(dumpHeader(tracker, warNumber));
+  for (const table of Object.keys(TABLES)) {
+    for (const row of selectRows(tracker, table, warNumber)) {
+      yield JSON.stringify({ table, row });
+    }
+  }
+}
+
+// Accepts either export format and returns { header, records }, records
+// being a list of { table, row }
+export function parseDump(text) {
+  let document = null;
+  try {
+    document = JSON.parse(text);
+  } catch {
+    // Not a single document, so NDJSON
+  }
+
+  let header;
+  let records;
+  if (document && document.tables) {
+    const { tables, ...rest } = document;
+    header = rest;
+    records = Object.entries(tables).flatMap(([table, rows]) =>
+      rows.map((row) => ({ table, row })),
+    );
+  } else {
+    const lines = text
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+    header = lines.shift();
+    records = lines;
+  }
+
+  if (header?.format !== DUMP_FORMAT) {
+    throw new Error("Not a foxhole-svg export");
+  }
+  if (header.schemaVersion > SCHEMA_VERSION) {
+    throw new Error(
+      `Export has schema v${header.schemaVersion}, but this version only understands up to v${SCHEMA_VERSION}`,
+    );
+  }
+
+  return { header, records };
+}
+
+// Merge a parsed dump into the tracker's database in one transaction. Rows
+// the database already has win. Towns of a war older than the one this
+// instance is tracking go straight to the archive, and that war is closed,
+// so importing into an instance that has already moved on stays coherent.
+// Returns imported/skipped counts per table.
+export function importDump(tracker, { records }) {
+  const counts = Object.fromEntries(
+    Object.keys(TABLES).map((table) => [table, { imported: 0, skipped: 0 }]),
+  );
+  const columns = Object.fromEntries(
+    Object.keys(TABLES).map((table) => [
+      table,
+      new Set(
+        tracker.db
+          .prepare(`PRAGMA table_info(${table})`)
+          .all()
+          .map((column) => column.name),
+      ),
+    ]),
+  );
+  const now = Date.now();
+
+  const insert = (table, row) => {
+    const { key, autoId } = TABLES[table];
+    const exists = tracker.db
+      .prepare(
+        `SELECT 1 FROM ${table} WHERE ${key.map((column) => `${column} IS ?`).join(" AND ")}`,
+      )
+      .get(...key.map((column) => row[column] ?? null));
+    if (exists) return false;
+
+    const names = Object.keys(row).filter(
+      (name) => columns[table].has(name) && !(autoId && name === "id"),
+    );
+    tracker.db
+      .prepare(
+        `INSERT INTO ${table} (${names.join(", ")}) VALUES (${names.map(() => "?").join(", ")})`,
+      )
+      .run(...names.map((name) => row[name]));
+    return true;
+  };
+
+  tracker.db.transaction(() => {
+    const currentWar = tracker.getCurrentWarNumber();
+    const isPastWar = (warNumber) =>
+      currentWar != null && warNumber != null && warNumber < currentWar;
+
+    for (const { table, row } of records) {
+      if (!TABLES[table]) continue;
+
+      let target = table;
+      let values = row;
+      if (table === "wars" && isPastWar(row.warNumber)) {
+        values = { ...row, archivedAt: row.archivedAt ?? now };
+      } else if (table === "towns" && isPastWar(row.warNumber)) {
+        target = "towns_archive";
+        values = { ...row, archivedAt: now };
+      }
+
+      if (insert(target, values)) {
+        counts[target].imported++;
+      } else {
+        counts[target].skipped++;
+      }
+    }
+  })();
+
+  return counts;
+}
+
+// Consistent copy of the live database file
+export async function backupDatabase(tracker, destination) {
+  await tracker.db.backup(destination);
+  return destination;
+}
+
+function parseArgs(argv) {
+  const args = {
+    command: argv[0],
+    file: null,
+    shard: undefined,
+    war: null,
+    format: "json",
+    out: null,
+  };
+  for (let i = 1; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--shard":
+        args.shard = argv[++i];
+        break;
+      case "--war":
+        args.war = parseInt(argv[++i]);
+        break;
+      case "--format":
+        args.format = argv[++i];
+        break;
+      case "--out":
+        args.out = argv[++i];
+        break;
+      default:
+        if (argv[i].startsWith("--") || args.file) {
+          throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+        args.file = argv[i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const shard = getShard(args.shard);
+  const tracker = createTracker(shard.id, { backend: "sqlite" });
+  const stamp = new Date().toISOString().replace(/[-:.]/g, "").slice(0, 15);
+
+  try {
+    switch (args.command) {
+      case "export": {
+        const warNumber = Number.isNaN(args.war) ? null : args.war;
+        let content;
+        if (args.format === "ndjson") {
+          content = [...exportNdjsonLines(tracker, { warNumber })].join("\n") + "\n";
+        } else if (args.format === "json") {
+          content = JSON.stringify(exportDump(tracker, { warNumber }));
+        } else {
+          throw new Error(`Unknown format: ${args.format}`);
+        }
+
+        const out = args.out || `foxhole-${shard.id}-${stamp}.${args.format}`;
+        await fs.writeFile(out, content);
+        logger.info(`Exported ${shard.name} tracking data to ${out}`);
+        break;
+      }
+      case "import": {
+        if (!args.file) throw new Error("import needs a file to read");
+
+        const dump = parseDump(await fs.readFile(args.file, "utf8"));
+        const counts = importDump(tracker, dump);
+        for (const [table, { imported, skipped }] of Object.entries(counts)) {
+          if (imported || skipped) {
+            console.log(`${table}: ${imported} imported, ${skipped} already present`);
+          }
+        }
+        logger.info(`Imported ${args.file} into ${shard.name}`);
+        break;
+      }
+      case "backup": {
+        const out = args.out || backupPathFor(tracker.dbPath, `backup-${stamp}`);
+        await backupDatabase(tracker, out);
+        logger.info(`Backed up ${tracker.dbPath} to ${out}`);
+        break;
+      }
+      default:
+        throw new Error(
+          "Usage: db-admin.js export|import|backup [--shard id] [--war n] [--format json|ndjson] [--out file] [file]",
+        );
+    }
+  } finally {
+    tracker.close();
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    logger.error("✗ Database admin command failed:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,95 @@
+import logger from "./logger.js";
+
+// E-paper panels the dashboard can be laid out for. `width` and `height`
+// are the panel's native framebuffer; `rotation` is how far it is mounted
+// clockwise from that (0, 90, 180 or 270), so a 7.5" panel turned on its
+// side gets a 480x800 portrait layout that is rotated back into 800x480.
+// `fontScale` multiplies every font size and text offset, `margin` is the
+// gap at the panel edges and `bitDepth` is what Terminus renders it with.
+export const DISPLAY_PROFILES = {
+  trmnl: {
+    name: 'TRMNL 7.5"',
+    width: 800,
+    height: 480,
+    rotation: 0,
+    fontScale: 1,
+    margin: 20,
+    bitDepth: 1,
+  },
+  "trmnl-portrait": {
+    name: 'TRMNL 7.5" (portrait)',
+    width: 800,
+    height: 480,
+    rotation: 90,
+    fontScale: 1,
+    margin: 12,
+    bitDepth: 1,
+  },
+  "trmnl-x": {
+    name: "TRMNL X",
+    width: 1872,
+    height: 1404,
+    rotation: 0,
+    fontScale: 2,
+    margin: 40,
+    bitDepth: 2,
+  },
+  kindle: {
+    name: "Kindle Paperwhite",
+    width: 1072,
+    height: 1448,
+    rotation: 0,
+    fontScale: 1.8,
+    margin: 30,
+    bitDepth: 2,
+  },
+};
+
+export const DEFAULT_PROFILE = "trmnl";
+
+// Profile with the size the layout is drawn at, after rotation
+export function getDisplayProfile(
+  profile = process.env.DISPLAY_PROFILE || DEFAULT_PROFILE,
+) {
+  const config = DISPLAY_PROFILES[profile];
+  if (!config) {
+    throw new Error(`Unknown display profile: ${profile}`);
+  }
+
+  const sideways = config.rotation === 90 || config.rotation === 270;
+  const layoutWidth = sideways ? config.height : config.width;
+  const layoutHeight = sideways ? config.width : config.height;
+  return {
+    id: profile,
+    ...config,
+    layoutWidth,
+    layoutHeight,
+    orientation: layoutWidth >= layoutHeight ? "landscape" : "portrait",
+  };
+}
+
+// Profiles to publish a Terminus screen for, from TERMINUS_PROFILES (comma
+// separated), falling back to DISPLAY_PROFILE
+export function getTerminusProfiles() {
+  const requested = (
+    process.env.TERMINUS_PROFILES ||
+    process.env.DISPLAY_PROFILE ||
+    DEFAULT_PROFILE
+  )
+    .split(",")
+    .map((profile) => profile.trim().toLowerCase())
+    .filter(Boolean);
+
+  const profiles = [];
+  for (const profile of requested) {
+    if (!(profile in DISPLAY_PROFILES)) {
+      logger.warn(
+        `Ignoring unknown display profile "${profile}" (known: ${Object.keys(DISPLAY_PROFILES).join(", ")})`,
+      );
+      continue;
+    }
+    if (!profiles.includes(profile)) profiles.push(profile);
+  }
+
+  return profiles.length > 0 ? profiles : [DEFAULT_PROFILE];
+}
@@ -0,0 +1,79 @@
+// Reduce a grayscale image (0 = black, 1 = white) to 2^bits gray levels.
+// Returns one level per pixel, 0 being black.
+
+export const DITHER_METHODS = ["threshold", "bayer", "floyd-steinberg"];
+
+// 8x8 ordered dither matrix
+const BAYER_8 = [
+  [0, 32, 8, 40, 2, 34, 10, 42],
+  [48, 16, 56, 24, 50, 18, 58, 26],
+  [12, 44, 4, 36, 14, 46, 6, 38],
+  [60, 28, 52, 20, 62, 30, 54, 22],
+  [3, 35, 11, 43, 1, 33, 9, 41],
+  [51, 19, 59, 27, 49, 17, 57, 25],
+  [15, 47, 7, 39, 13, 45, 5, 37],
+  [63, 31, 55, 23, 61, 29, 53, 21],
+];
+
+const clamp = (value, max) => Math.max(0, Math.min(max, value));
+
+export function dither(gray, width, height, { bits = 1, method = "bayer" } = {}) {
+  const max = (1 << bits) - 1;
+  const levels = new Uint8Array(width * height);
+
+  switch (method) {
+    case "threshold":
+      for (let i = 0; i < levels.length; i++) {
+        levels[i] = clamp(Math.round(gray[i] * max), max);
+      }
+      break;
+
+    case "bayer":
+      // Offset each pixel by its place in the matrix before flooring, so
+      // flat areas become a regular pattern between the two nearest levels
+      for (let y = 0; y < height; y++) {
+        const row = BAYER_8[y % 8];
+        for (let x = 0; x < width; x++) {
+          const i = y * width + x;
+          const offset = (row[x % 8] + 0.5) / 64;
+          levels[i] = clamp(Math.floor(gray[i] * max + offset), max);
+        }
+      }
+      break;
+
+    case "floyd-steinberg": {
+      // Serpentine error diffusion on a working copy
+      const work = Float32Array.from(gray);
+      for (let y = 0; y < height; y++) {
+        const reverse = y % 2 === 1;
+        const step = reverse ? -1 : 1;
+        for (let n = 0; n < width; n++) {
+          const x = reverse ? width - 1 - n : n;
+          const i = y * width + x;
+          const level = clamp(Math.round(work[i] * max), max);
+          levels[i] = level;
+
+          const error = work[i] - level / max;
+          const spread = (dx, dy, weight) => {
+            const nx = x + dx * step;
+            const ny = y + dy;
+            if (nx < 0 || nx >= width || ny >= height) return;
+            work[ny * width + nx] += (error * weight) / 16;
+          };
+          spread(1, 0, 7);
+          spread(-1, 1, 3);
+          spread(0, 1, 5);
+          spread(1, 1, 1);
+        }
+      }
+      break;
+    }
+
+    default:
+      throw new Error(
+        `Unknown dither method: ${method} (known: ${DITHER_METHODS.join(", ")})`,
+      );
+  }
+
+  return levels;
+}
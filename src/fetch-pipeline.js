@@ -0,0 +1,81 @@
+import logger from "./logger.js";
+
+// Concurrency and request spacing for hex fetches, from the environment
+export function getFetchPolicy() {
+  return {
+    concurrency: Math.max(1, parseInt(process.env.WARAPI_CONCURRENCY || "4")),
+    // Minimum gap between two request starts, in ms (100 = at most 10/s)
+    minInterval: parseInt(process.env.WARAPI_MIN_REQUEST_INTERVAL || "100"),
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Fetch the dynamic map of every hex in `hexIds`, a few at a time.
+//
+// `knownETags` maps hex ids to the version the caller last processed, so
+// unchanged hexes come back with `changed: false`. Each hex is reported to
+// `onResult(result, progress)` as soon as it completes, with result being
+// { hexId, changed, data, etag, servedAt, error }. Once the War API circuit
+// opens the remaining hexes are not requested; they are reported with
+// `skipped: true` and the circuit error. Resolves with every result, in
+// completion order.
+export async function fetchDynamicMaps(
+  warApi,
+  hexIds,
+  { knownETags = new Map(), onResult = () => {}, ...options } = {},
+) {
+  const { concurrency, minInterval } = { ...getFetchPolicy(), ...options };
+  const queue = [...hexIds];
+  const results = [];
+  let nextStart = 0;
+  let circuitError = null;
+
+  const report = (result) => {
+    results.push(result);
+    try {
+      onResult(result, { completed: results.length, total: hexIds.length });
+    } catch (error) {
+      logger.error(`Error handling fetch result for ${result.hexId}:`, error);
+    }
+  };
+
+  // Requests start at least minInterval apart across all workers
+  const waitForSlot = async () => {
+    const now = Date.now();
+    const start = Math.max(now, nextStart);
+    nextStart = start + minInterval;
+    if (start > now) await sleep(start - now);
+  };
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const hexId = queue.shift();
+
+      if (circuitError) {
+        report({ hexId, changed: false, skipped: true, error: circuitError });
+        continue;
+      }
+
+      await waitForSlot();
+      try {
+        const { data, etag, changed, servedAt } = await warApi.dynamicMapIfChanged(
+          hexId,
+          knownETags.get(hexId),
+        );
+        report({ hexId, changed, data, etag, servedAt, error: null });
+      } catch (error) {
+        if (error.circuitOpen) circuitError = error;
+        report({ hexId, changed: false, error });
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, hexIds.length) }, worker),
+  );
+
+  return results;
+}
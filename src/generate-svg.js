@@ -1,74 +1,51 @@
 #!/usr/bin/env node
 
 import fs from "fs/promises";
+import { createHash } from "crypto";
 import WarApi from "./warapi.js";
 import logger from "./logger.js";
 
-import TownTracker from "./database.js";
-
-// Load static coordinate data from the main project
-let STATIC_DATA = null;
-async function loadStaticData() {
-  if (!STATIC_DATA) {
-    const staticFile = await fs.readFile("/app/public/static.json", "utf8");
-    STATIC_DATA = JSON.parse(staticFile);
-  }
-  return STATIC_DATA;
-}
-
-// Foxhole hex regions in proper order for stitching
-const HEX_REGIONS = [
-  "BasinSionnachHex",
-  "SpeakingWoodsHex",
-  "HowlCountyHex",
-  "CallumsCapeHex",
-  "ReachingTrailHex",
-  "ClansheadValleyHex",
-  "NevishLineHex",
-  "MooringCountyHex",
-  "ViperPitHex",
-  "MorgensCrossingHex",
-  "OarbreakerHex",
-  "StonecradleHex",
-  "CallahansPassageHex",
-  "WeatheredExpanseHex",
-  "GodcroftsHex",
-  "FarranacCoastHex",
-  "LinnMercyHex",
-  "MarbanHollow",
-  "StlicanShelfHex",
-  "WestgateHex",
-  "LochMorHex",
-  "DrownedValeHex",
-  "EndlessShoreHex",
-  "FishermansRowHex",
-  "KingsCageHex",
-  "DeadLandsHex",
-  "ClahstraHex",
-  "TempestIslandHex",
-  "StemaLandingHex",
-  "SableportHex",
-  "UmbralWildwoodHex",
-  "AllodsBightHex",
-  "TheFingersHex",
-  "OriginHex",
-  "HeartlandsHex",
-  "ShackledChasmHex",
-  "ReaversPassHex",
-  "AshFieldsHex",
-  "GreatMarchHex",
-  "TerminusHex",
-  "RedRiverHex",
-  "AcrithiaHex",
-  "KalokaiHex",
-];
+import { createTracker } from "./storage.js";
+import { DEFAULT_SHARD, getShard } from "./shards.js";
+import HexRegistry from "./hex-registry.js";
+import TownRegistry, { townKey } from "./town-registry.js";
+import { toWorldCoordinates } from "./static-data.js";
+import { fetchDynamicMaps } from "./fetch-pipeline.js";
+import { getRegionControl, isVictoryTown } from "./war-state.js";
+import { dissolve, frontline } from "./territory.js";
+import {
+  TOWN_ICONS,
+  iconRadius,
+  placeLabels,
+  townIconMarkup,
+} from "./hex-detail.js";
+import { DEFAULT_PROFILE, getDisplayProfile } from "./display-profiles.js";
+import { DEFAULT_THEME, getTheme } from "./themes.js";
+import { getRasterDefaults, renderBitmap } from "./rasterize.js";
+
+// How long a capture stays in the dashboard's recent captures lists
+const RECENT_CAPTURE_WINDOW = 48 * 60 * 60 * 1000;
 
 class FoxholeSVGGenerator {
-  constructor() {
-    this.warApi = new WarApi();
+  constructor(options = {}) {
+    this.shard = getShard(options.shard || DEFAULT_SHARD);
+    // Shown in the header when several shards are rendered side by side
+    this.shardLabel = options.shardLabel || null;
+    // Panel size, orientation and font scale to lay the dashboard out for
+    this.profile = getDisplayProfile(options.profile);
+    // Palette, patterns, strokes and fonts
+    this.theme = getTheme(options.theme);
+    // Share the caller's WarApi when given so its ETag cache is reused
+    this.warApi = options.warApi || new WarApi(this.shard.host);
+    this.hexRegistry = options.hexRegistry || new HexRegistry(this.warApi);
+    this.townRegistry =
+      options.townRegistry || new TownRegistry(this.hexRegistry);
     this.mapData = new Map();
     this.conquerStatus = null;
-    this.tracker = new TownTracker();
+    // Reuse the server's tracker; standalone renders open their own
+    this.tracker = options.tracker || createTracker(this.shard.id);
+    // The data updater's staleness watchdog, when rendering for one
+    this.watchdog = options.watchdog || null;
     this.requiredVictoryTowns = 32; // Default value
     this.warNumber = null;
     this.conquestStartTime = null;
@@ -77,6 +54,7 @@ class FoxholeSVGGenerator {
     this.winner = "NONE";
     this.activePlayers = "N/A";
     this.activeMapsList = []; // List of active maps during resistance
+    this.casualtySummary = null; // Casualty totals and 24h rate from war reports
     this.initializeVictoryTowns();
     this.initializeWarData();
   }
@@ -151,81 +129,127 @@ class FoxholeSVGGenerator {
       this.conquerStatus = null;
     }
 
-    // Load static coordinate data
-    const staticData = await loadStaticData();
+    // Refresh the hex list (live maps merged with static geometry)
+    await this.hexRegistry.refresh();
 
-    // Get current war info and active maps list
-    const warInfo = await this.warApi.war();
-    logger.debug(
-      `War ${warInfo.warNumber} - Status: ${warInfo.winner === "NONE" ? "Ongoing" : "Ended"}`,
-    );
-    this.warNumber = warInfo.warNumber;
-    this.conquestStartTime = warInfo.conquestStartTime;
-    this.conquestEndTime = warInfo.conquestEndTime;
-    this.resistanceStartTime = warInfo.resistanceStartTime;
-    this.winner = warInfo.winner || "NONE";
-
-    // Fetch active maps list for resistance phase
-    if (this.isResistancePhase()) {
-      this.activeMapsList = await this.warApi.maps();
-      logger.info(`Resistance phase detected. ${this.activeMapsList.length} active maps.`);
+    // Get current war info and active maps list, keeping the last known
+    // values if the API is having a transient failure
+    try {
+      const warInfo = await this.warApi.war();
+      logger.debug(
+        `War ${warInfo.warNumber} - Status: ${warInfo.winner === "NONE" ? "Ongoing" : "Ended"}`,
+      );
+      this.warNumber = warInfo.warNumber;
+      this.conquestStartTime = warInfo.conquestStartTime;
+      this.conquestEndTime = warInfo.conquestEndTime;
+      this.resistanceStartTime = warInfo.resistanceStartTime;
+      this.winner = warInfo.winner || "NONE";
+
+      // Active maps list for resistance phase
+      if (this.isResistancePhase()) {
+        this.activeMapsList = this.hexRegistry
+          .getLiveHexes()
+          .map((hex) => hex.id);
+        logger.info(`Resistance phase detected. ${this.activeMapsList.length} active maps.`);
+      }
+    } catch (error) {
+      logger.warn(
+        "Failed to fetch war info, keeping last known war state:",
+        error.message,
+      );
     }
 
     // Fetch fresh active players count
     this.activePlayers = await this.fetchActivePlayers();
     logger.debug(`Active players: ${this.activePlayers}`);
 
-    // Fetch data for all regions
-    for (const region of HEX_REGIONS) {
-      // Find static data for this region from the main project's static.json
-      const regionStaticData = staticData.features.filter(
-        (feature) =>
-          feature.properties.region === region || feature.id === region,
-      );
+    // Drop hexes that have left the registry
+    for (const region of this.mapData.keys()) {
+      if (!this.hexRegistry.getHex(region)) this.mapData.delete(region);
+    }
 
-      // Get Voronoi regions for this hex
-      const voronoiRegions = staticData.features.filter(
-        (feature) =>
-          feature.properties.type === "voronoi" &&
-          feature.properties.region === region,
-      );
+    const staticEntry = (hex) => ({
+      static: { mapTextItems: hex.mapTextItems },
+      regionGeometry: hex.regionGeometry,
+      voronoiRegions: hex.voronoiRegions,
+    });
 
-      try {
-        logger.debug(`Fetching ${region}...`);
-        const [dynamicData] = await Promise.all([
-          this.warApi.dynamicMap(region),
-        ]);
+    // Hexes missing from the live maps list have no dynamic data to fetch
+    const liveHexes = [];
+    for (const hex of this.hexRegistry.getAllHexes()) {
+      if (hex.live) {
+        liveHexes.push(hex.id);
+        continue;
+      }
+      logger.debug(`${hex.id} is not live, adding with static data only`);
+      this.mapData.set(hex.id, {
+        ...staticEntry(hex),
+        dynamic: null,
+        inactive: true,
+      });
+    }
+
+    // Fetch the live hexes a few at a time, skipping unchanged ones
+    const knownETags = new Map(
+      liveHexes.map((region) => [region, this.mapData.get(region)?.etag]),
+    );
+    await fetchDynamicMaps(this.warApi, liveHexes, {
+      knownETags,
+      onResult: ({ hexId: region, changed, data, etag, error }) => {
+        const hex = this.hexRegistry.getHex(region);
+        const previous = this.mapData.get(region);
+
+        if (!error) {
+          if (!changed && previous) {
+            logger.debug(`${region} unchanged, keeping cached map data`);
+            return;
+          }
+
+          this.mapData.set(region, {
+            ...staticEntry(hex),
+            dynamic: data,
+            etag,
+          });
+          return;
+        }
+
+        let dynamicData = null;
+        if (error.notFound) {
+          // Region is inactive (404 during resistance phase) - still add it with static data
+          logger.debug(`${region} is inactive, adding with static data only`);
+        } else {
+          // Transient failure - keep showing the last known state of the hex
+          dynamicData =
+            previous?.dynamic ?? this.warApi.cachedDynamicMap(region);
+          logger.warn(
+            `Failed to fetch ${region} (${error.message}), ${dynamicData ? "keeping last known data" : "no data available yet"}`,
+          );
+        }
 
         this.mapData.set(region, {
-          static: {
-            mapTextItems: regionStaticData.filter(
-              (f) =>
-                f.properties.type === "Major" || f.properties.type === "Minor",
-            ),
-          },
+          ...staticEntry(hex),
           dynamic: dynamicData,
-          regionGeometry: regionStaticData.find(
-            (f) => f.properties.type === "Region",
-          ),
-          voronoiRegions: voronoiRegions,
-        });
-      } catch (error) {
-        // Region is inactive (404 during resistance phase) - still add it with static data
-        logger.debug(`${region} is inactive, adding with static data only`);
-        this.mapData.set(region, {
-          static: {
-            mapTextItems: regionStaticData.filter(
-              (f) =>
-                f.properties.type === "Major" || f.properties.type === "Minor",
-            ),
-          },
-          dynamic: null,
-          regionGeometry: regionStaticData.find(
-            (f) => f.properties.type === "Region",
-          ),
-          voronoiRegions: voronoiRegions,
+          etag: error.notFound ? null : previous?.etag,
+          inactive: !!error.notFound,
+          stale: !error.notFound,
         });
-      }
+      },
+    });
+
+    // Results arrive in completion order; draw hexes in registry order
+    this.mapData = new Map(
+      this.hexRegistry
+        .getAllHexes()
+        .filter((hex) => this.mapData.has(hex.id))
+        .map((hex) => [hex.id, this.mapData.get(hex.id)]),
+    );
+
+    // Casualty totals from the stored war reports
+    try {
+      this.casualtySummary = this.tracker.getCasualtySummary();
+    } catch (error) {
+      logger.warn("Failed to load casualty summary:", error.message);
+      this.casualtySummary = null;
     }
 
     // After fetching all map data, recalculate required victory towns
@@ -239,130 +263,32 @@ class FoxholeSVGGenerator {
     logger.debug(`Map data has ${this.mapData.size} regions`);
     logger.debug(`Using required victory towns: ${this.requiredVictoryTowns}`);
 
-    // Calculate bounds from all regions
-    const bounds = this.calculateMapBounds();
-    const padding = 20; // Reduced padding for smaller display
-    const svgWidth = 800;
-    const svgHeight = 480;
-
-    // Calculate scaling to fit map in SVG with space for captures
-    const mapWidth = bounds.maxX - bounds.minX;
-    const mapHeight = bounds.maxY - bounds.minY;
-    const scale = Math.min(
-      (svgWidth - 2 * padding - 5) / mapWidth, // Reserve only 5px for Warden captures on right
-      (svgHeight - 50) / mapHeight, // Reduced space for captures only
-    );
-
-    // Calculate offset to center the map (shifted left to make room for Warden captures)
-    const offsetX =
-      padding + (svgWidth - 2 * padding - 5 - mapWidth * scale) / 2;
-    const offsetY = 15; // Start closer to top for better spacing
+    // Lay out for the display profile; rotated panels get their layout
+    // turned into place at the end
+    const svgWidth = this.profile.layoutWidth;
+    const svgHeight = this.profile.layoutHeight;
+    const { scale, offsetX, offsetY } = this.getMapPlacement(svgWidth, svgHeight);
 
     // SVG header
     let svg = `<?xml version="1.0" encoding="UTF-8"?>
 <svg width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}" 
      xmlns="http://www.w3.org/2000/svg">
-  <defs>
-    <!-- Grayscale patterns for better region distinction -->
-    <pattern id="colonialPattern" x="0" y="0" width="8" height="8" patternUnits="userSpaceOnUse">
-      <rect width="8" height="8" fill="#E0E0E0"/>
-      <circle cx="2" cy="2" r="0.5" fill="#CCCCCC"/>
-      <circle cx="6" cy="6" r="0.5" fill="#CCCCCC"/>
-    </pattern>
-    <pattern id="wardenPattern" x="0" y="0" width="8" height="8" patternUnits="userSpaceOnUse">
-      <rect width="8" height="8" fill="#808080"/>
-      <rect x="2" y="2" width="1" height="1" fill="#666666"/>
-      <rect x="5" y="5" width="1" height="1" fill="#666666"/>
-    </pattern>
-    <pattern id="neutralPattern" x="0" y="0" width="8" height="8" patternUnits="userSpaceOnUse">
-      <rect width="8" height="8" fill="#F5F5F5"/>
-      <line x1="0" y1="0" x2="8" y2="8" stroke="#E0E0E0" stroke-width="0.5"/>
-      <line x1="8" y1="0" x2="0" y2="8" stroke="#E0E0E0" stroke-width="0.5"/>
-    </pattern>
-    <pattern id="contestedPattern" x="0" y="0" width="8" height="8" patternUnits="userSpaceOnUse">
-      <rect width="8" height="8" fill="#B0B0B0"/>
-      <circle cx="4" cy="4" r="1" fill="#909090"/>
-    </pattern>
-    <pattern id="inactivePattern" x="0" y="0" width="15" height="15" patternUnits="userSpaceOnUse">
-      <rect width="15" height="15" fill="#FFFFFF"/>
-      <line x1="0" y1="0" x2="15" y2="15" stroke="#999999" stroke-width="1.5"/>
-      <line x1="0" y1="15" x2="15" y2="0" stroke="#999999" stroke-width="1.5"/>
-      <circle cx="7.5" cy="7.5" r="1.5" fill="#666666"/>
-    </pattern>
-
-    <style>
-      /* Region labels removed for cleaner appearance */
-      .colonial-region { 
-        fill: url(#colonialPattern); 
-        stroke: #666666; 
-        stroke-width: 1; 
-      }
-      .warden-region { 
-        fill: url(#wardenPattern); 
-        stroke: #333333; 
-        stroke-width: 1; 
-      }
-      .neutral-region { 
-        fill: url(#neutralPattern); 
-        stroke: #CCCCCC; 
-        stroke-width: 1; 
-      }
-      .contested-region {
-        fill: url(#contestedPattern);
-        stroke: #404040;
-        stroke-width: 1;
-      }
-      .inactive-region {
-        fill: url(#inactivePattern);
-        stroke: #666666;
-        stroke-width: 1;
-      }
-      /* Town dots removed for cleaner appearance */
-      /* Major labels removed for cleaner appearance */
-
-    </style>
-  </defs>
+${this.generateDefs()}
   
   <!-- Background -->
-  <rect width="${svgWidth}" height="${svgHeight}" fill="white"/>
-  
-  <!-- Victory Points Display -->
-  <!-- Colonial Victory Points - Top Left -->
-  <g transform="translate(20, 25)">
-    <text x="0" y="0" style="font-family: 'Segoe UI', sans-serif; font-size: 16px; font-weight: bold; fill: #000000;">Colonial</text>
-    <text x="0" y="20" style="font-family: 'Segoe UI', sans-serif; font-size: 18px; font-weight: bold; fill: #000000;">${this.getColonialVictoryPoints()} / ${this.requiredVictoryTowns || 32}</text>
-  </g>
-  
-  <!-- War Information - Top Center -->
-  <g transform="translate(170, 25)">
-    <text x="0" y="0" style="font-family: 'Segoe UI', sans-serif; font-size: 14px; font-weight: bold; fill: #000000;">War #${this.warNumber || "?"} - ${this.getWarDuration()}</text>
-    ${this.isResistancePhase() ? `<text x="0" y="18" style="font-family: 'Segoe UI', sans-serif; font-size: 12px; font-weight: bold; fill: #CC0000;">RESISTANCE PHASE - ${this.getResistanceDuration()}</text>` : ''}
-  </g>
-
-  <!-- Active Players - Top Right next to Warden VP -->
-  <g transform="translate(${svgWidth - 203}, 25)">
-    <text x="0" y="0" style="font-family: 'Segoe UI', sans-serif; font-size: 14px; font-weight: bold; fill: #000000; text-anchor: end;">Active Players: ${this.activePlayers || "N/A"}</text>
-    ${this.isResistancePhase() ? `<text x="0" y="18" style="font-family: 'Segoe UI', sans-serif; font-size: 12px; font-weight: bold; fill: #CC0000; text-anchor: end;">Winner: ${this.winner}</text>` : ''}
-  </g>
+  <rect width="${svgWidth}" height="${svgHeight}" fill="${this.theme.background}"/>
   
-  <!-- Warden Victory Points - Top Right -->
-  <g transform="translate(${svgWidth - 20}, 25)">
-    <text x="0" y="0" style="font-family: 'Segoe UI', sans-serif; font-size: 16px; font-weight: bold; fill: #000000; text-anchor: end;">Warden</text>
-    <text x="0" y="20" style="font-family: 'Segoe UI', sans-serif; font-size: 18px; font-weight: bold; fill: #000000; text-anchor: end;">${this.getWardenVictoryPoints()} / ${this.requiredVictoryTowns || 32}</text>
-  </g>
-`;
+${this.generateHeader(svgWidth)}`;
 
     // Generate regions with proper coordinates for e-paper
     logger.debug("Generating regions...");
     let regionCount = 0;
     let inactiveCount = 0;
+    const cells = [];
+    const hexGeometries = [];
     for (const [regionName, data] of this.mapData) {
       if (data.regionGeometry) {
-        // Check if region is active during resistance phase
-        const isActive = !this.isResistancePhase() || this.activeMapsList.includes(regionName);
-
-        // Get region control from dynamic data (or mark as inactive)
-        const regionControl = isActive ? this.getRegionControl(data.dynamic) : "inactive";
+        const regionControl = this.getDisplayedRegionControl(regionName, data);
 
         if (regionControl === "inactive") {
           inactiveCount++;
@@ -377,17 +303,201 @@ class FoxholeSVGGenerator {
           offsetX,
           offsetY,
         );
+        hexGeometries.push(data.regionGeometry);
+
+        // Inactive hexes show their pattern instead of town cells
+        if (regionControl !== "inactive" && data.voronoiRegions?.length > 0) {
+          cells.push(
+            ...this.getVoronoiCells(regionName, data.voronoiRegions, data.dynamic),
+          );
+        }
         regionCount++;
       }
     }
     logger.info(`Generated ${regionCount} regions (${inactiveCount} inactive)`);
 
+    svg += this.renderTerritory(
+      cells,
+      hexGeometries,
+      this.calculateMapBounds(),
+      scale,
+      offsetX,
+      offsetY,
+    );
+
 
     // Add recent captures display optimized for e-paper
     svg += this.generateEpaperRecentCapturesDisplay(svgWidth, svgHeight);
 
+    // Warn that the map is old when the war feed stopped moving
+    svg += this.generateStaleBanner(svgWidth, svgHeight);
+
     // Add timestamp at the bottom center
-    const timestamp = new Date().toLocaleString("en-US", {
+    svg += this.generateTimestamp(svgWidth, svgHeight);
+
+    svg += "</svg>";
+    return this.orientForDisplay(svg);
+  }
+
+  // Font sizes and text offsets scaled for the display profile
+  px(size) {
+    return Math.round(size * this.profile.fontScale * 10) / 10;
+  }
+
+  // Inline text style in the theme's font and text colour
+  font(size, extra = "", weight = "bold") {
+    const fontWeight = weight === "normal" ? "" : ` font-weight: ${weight};`;
+    return `font-family: ${this.theme.font}; font-size: ${this.px(size)}px;${fontWeight} fill: ${this.theme.text};${extra}`;
+  }
+
+  ruleStyle() {
+    return `stroke: ${this.theme.text}; stroke-width: ${this.theme.ruleWidth};`;
+  }
+
+  // Theme patterns, and the hex background classes that use them
+  generateDefs() {
+    const { patterns, regions, regionStrokeWidth } = this.theme;
+    const patternDefs = Object.entries(patterns)
+      .map(
+        ([id, { size, content }]) => `
+    <pattern id="${id}" x="0" y="0" width="${size}" height="${size}" patternUnits="userSpaceOnUse">
+      ${content}
+    </pattern>`,
+      )
+      .join("");
+    const regionStyles = Object.entries(regions)
+      .map(
+        ([control, { fill, stroke }]) => `
+      .${control}-region {
+        fill: ${fill};
+        stroke: ${stroke};
+        stroke-width: ${regionStrokeWidth};
+      }`,
+      )
+      .join("");
+
+    return `  <defs>
+    <!-- Theme patterns for telling regions apart -->${patternDefs}
+
+    <style>${regionStyles}
+    </style>
+  </defs>`;
+  }
+
+  // Where the map goes: landscape panels draw it under the header with the
+  // capture lists over its bottom corners; portrait panels stack header,
+  // map and capture lists
+  getMapPlacement(svgWidth, svgHeight) {
+    const bounds = this.calculateMapBounds();
+    const mapWidth = bounds.maxX - bounds.minX;
+    const mapHeight = bounds.maxY - bounds.minY;
+    const { margin } = this.profile;
+
+    if (this.profile.orientation === "portrait") {
+      const top = this.px(130);
+      const availableWidth = svgWidth - 2 * margin;
+      const availableHeight = svgHeight - top - this.px(135);
+      const scale = Math.min(availableWidth / mapWidth, availableHeight / mapHeight);
+      return {
+        scale,
+        offsetX: margin + (availableWidth - mapWidth * scale) / 2,
+        offsetY: top + (availableHeight - mapHeight * scale) / 2,
+      };
+    }
+
+    // Reserve only 5px for Warden captures on right, and enough height
+    // for the capture lists and timestamp
+    const availableWidth = svgWidth - 2 * margin - 5;
+    const scale = Math.min(
+      availableWidth / mapWidth,
+      (svgHeight - this.px(50)) / mapHeight,
+    );
+    return {
+      scale,
+      // Center the map (shifted left to make room for Warden captures)
+      offsetX: margin + (availableWidth - mapWidth * scale) / 2,
+      offsetY: this.px(15), // Start closer to top for better spacing
+    };
+  }
+
+  // Victory points in the top corners, war information and player count
+  // between them: in one row on landscape panels, with the war information
+  // on a second, centered row on portrait ones
+  generateHeader(svgWidth) {
+    const { margin } = this.profile;
+    const portrait = this.profile.orientation === "portrait";
+    const font = (size, extra) => this.font(size, extra);
+    const resistance = this.isResistancePhase();
+    const top = this.px(25);
+
+    const warInfo = portrait
+      ? { x: svgWidth / 2, y: this.px(70), anchor: " text-anchor: middle;" }
+      : { x: margin + this.px(150), y: top, anchor: "" };
+    const players = portrait
+      ? { x: svgWidth / 2, anchor: " text-anchor: middle;" }
+      : { x: svgWidth - margin - this.px(183), anchor: " text-anchor: end;" };
+
+    return `
+  <!-- Victory Points Display -->
+  <!-- Colonial Victory Points - Top Left -->
+  <g transform="translate(${margin}, ${top})">
+    <text x="0" y="0" style="${font(16)}">Colonial</text>
+    <text x="0" y="${this.px(20)}" style="${font(18)}">${this.getColonialVictoryPoints()} / ${this.requiredVictoryTowns || 32}</text>
+  </g>
+  
+  <!-- War Information -->
+  <g transform="translate(${warInfo.x}, ${warInfo.y})">
+    <text x="0" y="0" style="${font(14, warInfo.anchor)}">${this.shardLabel ? `${this.shardLabel} - ` : ""}War #${this.warNumber || "?"} - ${this.getWarDuration()}</text>
+    ${resistance ? `<text x="0" y="${this.px(18)}" style="${font(12, ` fill: ${this.theme.alert};` + warInfo.anchor)}">RESISTANCE PHASE - ${this.getResistanceDuration()}</text>` : ''}
+    ${this.generateCasualtiesLine(this.px(resistance ? 34 : 18), warInfo.anchor)}
+  </g>
+
+  <!-- Active Players -->
+  <g transform="translate(${players.x}, ${top})">
+    <text x="0" y="0" style="${font(14, players.anchor)}">Active Players: ${this.activePlayers || "N/A"}</text>
+    ${resistance ? `<text x="0" y="${this.px(18)}" style="${font(12, ` fill: ${this.theme.alert};` + players.anchor)}">Winner: ${this.winner}</text>` : ''}
+  </g>
+  
+  <!-- Warden Victory Points - Top Right -->
+  <g transform="translate(${svgWidth - margin}, ${top})">
+    <text x="0" y="0" style="${font(16, " text-anchor: end;")}">Warden</text>
+    <text x="0" y="${this.px(20)}" style="${font(18, " text-anchor: end;")}">${this.getWardenVictoryPoints()} / ${this.requiredVictoryTowns || 32}</text>
+  </g>
+`;
+  }
+
+  // Rotate the finished layout into the panel's native framebuffer for
+  // panels that are mounted turned
+  orientForDisplay(svg) {
+    const { width, height, rotation } = this.profile;
+    if (!rotation) return svg;
+
+    const transform = {
+      90: `translate(${width}, 0) rotate(90)`,
+      180: `translate(${width}, ${height}) rotate(180)`,
+      270: `translate(0, ${height}) rotate(270)`,
+    }[rotation];
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+  <g transform="${transform}">
+${svg.replace(/^<\?xml[^>]*>\s*/, "")}
+  </g>
+</svg>`;
+  }
+
+  generateTimestamp(svgWidth, svgHeight) {
+    return `
+  <!-- Last Updated Timestamp -->
+  <g transform="translate(${svgWidth / 2}, ${svgHeight - this.px(6)})">
+    <text x="0" y="0" style="${this.font(12, " text-anchor: middle;")}">Updated: ${this.formatTimestamp(Date.now())}</text>
+  </g>
+`;
+  }
+
+  // Dates on the dashboard are shown in US Eastern time
+  formatTimestamp(ms) {
+    return new Date(ms).toLocaleString("en-US", {
       timeZone: "America/New_York",
       year: "numeric",
       month: "2-digit",
@@ -397,15 +507,39 @@ class FoxholeSVGGenerator {
       second: "2-digit",
       hour12: false,
     });
-    svg += `
-  <!-- Last Updated Timestamp -->
-  <g transform="translate(${svgWidth / 2}, ${svgHeight - 6})">
-    <text x="0" y="0" style="font-family: 'Segoe UI', sans-serif; font-size: 12px; font-weight: bold; fill: #000000; text-anchor: middle;">Updated: ${timestamp}</text>
+  }
+
+  // Black bar while the watchdog reports stale data: above the timestamp
+  // on landscape panels, between header and map on portrait ones where the
+  // capture lists take the full width
+  generateStaleBanner(svgWidth, svgHeight) {
+    const staleSince = this.watchdog?.getStaleSince();
+    if (staleSince == null) return "";
+
+    const y =
+      this.profile.orientation === "portrait"
+        ? this.px(124)
+        : svgHeight - this.px(38);
+
+    return `
+  <!-- Stale Data Warning -->
+  <g transform="translate(${svgWidth / 2}, ${y})">
+    <rect x="${-this.px(160)}" y="${-this.px(15)}" width="${this.px(320)}" height="${this.px(20)}" fill="${this.theme.text}"/>
+    <text x="0" y="0" style="${this.font(13, ` fill: ${this.theme.background}; text-anchor: middle;`)}">DATA STALE since ${this.formatTimestamp(staleSince)}</text>
   </g>
 `;
+  }
 
-    svg += "</svg>";
-    return svg;
+  // One-line casualty summary for the header: totals per faction and how
+  // many were added in the last 24h
+  generateCasualtiesLine(y, anchor = "") {
+    const summary = this.casualtySummary;
+    if (!summary || summary.hexes === 0) return "";
+
+    const format = (faction) =>
+      `${faction.total.toLocaleString()} (+${faction.recent.toLocaleString()}/24h)`;
+
+    return `<text x="0" y="${y}" style="${this.font(11, anchor, "normal")}">Casualties C ${format(summary.colonial)} · W ${format(summary.warden)}</text>`;
   }
 
   calculateMapBounds() {
@@ -420,55 +554,59 @@ class FoxholeSVGGenerator {
   }
 
   getRegionControl(dynamicData) {
-    if (!dynamicData || !dynamicData.mapItems) return "neutral";
-
-    // Count towns controlled by each team
-    let colonialTowns = 0;
-    let wardenTowns = 0;
-    let totalTowns = 0;
-
-    for (const item of dynamicData.mapItems) {
-      if (this.warApi.isIconType(item.iconType)) {
-        const iconInfo = this.warApi.iconTypes[item.iconType];
-        if (iconInfo.conquer) {
-          totalTowns++;
-          if (item.teamId === "COLONIALS") colonialTowns++;
-          else if (item.teamId === "WARDENS") wardenTowns++;
-        }
-      }
-    }
-
-    // Determine region control with contested state
-    if (totalTowns === 0) return "neutral";
-
-    const colonialPercent = colonialTowns / totalTowns;
-    const wardenPercent = wardenTowns / totalTowns;
+    return getRegionControl(this.warApi, dynamicData);
+  }
 
-    // If one team has significantly more control (>60%), they control the region
-    if (colonialPercent >= 0.6) return "colonial";
-    if (wardenPercent >= 0.6) return "warden";
+  // Region control as drawn: hexes that are down, or not in play during
+  // the resistance phase, are shown as inactive
+  getDisplayedRegionControl(regionName, data) {
+    const isActive =
+      !data.inactive &&
+      (!this.isResistancePhase() || this.activeMapsList.includes(regionName));
+    return isActive ? this.getRegionControl(data.dynamic) : "inactive";
+  }
 
-    // If it's close or mixed, mark as contested
-    if (colonialTowns > 0 && wardenTowns > 0) return "contested";
+  // Hash of what the dashboard shows, for skipping reposts of an unchanged
+  // screen. Leaves out what moves on every render without the war moving:
+  // the clock, capture ages, war duration, player count and casualties.
+  // Towns count as fresh while they still fade and as recent while listed.
+  getDashboardFingerprint() {
+    const now = Date.now();
+    const { over } = this.theme.fade;
+    const towns = Object.entries(this.conquerStatus?.features || {})
+      .map(([id, town]) => {
+        const age = town.baseline || !town.lastChange ? null : now - town.lastChange;
+        return [
+          id,
+          town.team,
+          age != null && age < over,
+          age != null && age < RECENT_CAPTURE_WINDOW,
+        ];
+      })
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+    const state = {
+      shardLabel: this.shardLabel,
+      warNumber: this.warNumber,
+      winner: this.winner,
+      resistance: this.isResistancePhase(),
+      staleSince: this.watchdog?.getStaleSince() ?? null,
+      requiredVictoryTowns: this.requiredVictoryTowns,
+      victoryPoints: [this.getColonialVictoryPoints(), this.getWardenVictoryPoints()],
+      regions: [...this.mapData].map(([regionName, data]) => [
+        regionName,
+        this.getDisplayedRegionControl(regionName, data),
+      ]),
+      towns,
+    };
 
-    // Default fallback
-    if (colonialTowns > wardenTowns) return "colonial";
-    if (wardenTowns > colonialTowns) return "warden";
-    return "neutral";
+    return createHash("sha256").update(JSON.stringify(state)).digest("hex");
   }
 
-  renderExistingVoronoiRegions(
-    regionName,
-    voronoiRegions,
-    dynamicData,
-    worldBounds,
-    uniformScale,
-    offsetX,
-    offsetY,
-  ) {
-    let svg = "";
+  // Town cells of a hex with their owner and fill, for renderTerritory
+  getVoronoiCells(regionName, voronoiRegions, dynamicData) {
+    const cells = [];
 
-    // Render each pre-generated Voronoi region
     voronoiRegions.forEach((voronoiRegion) => {
       try {
         if (voronoiRegion.geometry && voronoiRegion.geometry.coordinates) {
@@ -479,193 +617,87 @@ class FoxholeSVGGenerator {
             regionName,
           );
 
-          // Handle both Polygon and MultiPolygon
-          const coordinates =
-            voronoiRegion.geometry.type === "MultiPolygon"
-              ? voronoiRegion.geometry.coordinates
-              : [voronoiRegion.geometry.coordinates];
-
-          coordinates.forEach((polygonCoords) => {
-            if (
-              polygonCoords &&
-              polygonCoords[0] &&
-              polygonCoords[0].length >= 3
-            ) {
-              const coords = polygonCoords[0]; // Outer ring
-
-              // Transform to SVG space
-              const svgCoords = coords.map(([x, y]) => [
-                offsetX + (x - worldBounds.minX) * uniformScale,
-                offsetY + (worldBounds.maxY - y) * uniformScale,
-              ]);
-
-              const pointsString = svgCoords
-                .map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`)
-                .join(" ");
-
-              // Get the town's conquerStatus data for alpha channel variation
-              let conquerFeature = null;
-              if (this.conquerStatus && this.conquerStatus.features) {
-                // Try multiple approaches to find the conquerStatus for this Voronoi region
-                const regionData = this.mapData.get(regionName);
-                if (
-                  regionData &&
-                  regionData.dynamic &&
-                  regionData.dynamic.mapItems
-                ) {
-                  // Find the town that's inside this Voronoi region
-                  const conquerableTowns = regionData.dynamic.mapItems.filter(
-                    (item) =>
-                      this.warApi.isIconType(item.iconType) &&
-                      this.warApi.iconTypes[item.iconType].conquer,
-                  );
-
-                  for (const town of conquerableTowns) {
-                    const worldCoords = this.convertTownToWorldCoordinates(
-                      town,
-                      regionData.regionGeometry,
-                    );
-                    const isInside = this.inside(
-                      worldCoords,
-                      voronoiRegion.geometry.coordinates[0],
-                    );
-
-                    if (isInside) {
-                      // Found the town! Now try multiple ID formats to match conquerStatus
-                      const townName =
-                        this.warApi.iconTypes[town.iconType].notes;
-                      const voronoiId = voronoiRegion.id;
-
-                      // Try different ID formats that the main project might use
-                      const possibleIds = [
-                        // Format 1: iconType_x_y (what we were trying)
-                        `${town.iconType}_${Math.round(town.x * 1000)}_${Math.round(town.y * 1000)}`,
-                        // Format 2: iconType_x_y (without rounding)
-                        `${town.iconType}_${Math.floor(town.x * 1000)}_${Math.floor(town.y * 1000)}`,
-                        // Format 3: Just the voronoi ID (if towns are indexed by voronoi region)
-                        voronoiId,
-                        // Format 4: Town name (if indexed by name)
-                        townName,
-                        // Format 5: iconType with coordinates as decimals
-                        `${town.iconType}_${town.x.toFixed(3)}_${town.y.toFixed(3)}`,
-                      ];
-
-                      // Try each possible ID format
-                      for (const possibleId of possibleIds) {
-                        if (possibleId in this.conquerStatus.features) {
-                          conquerFeature =
-                            this.conquerStatus.features[possibleId];
-
-                          break;
-                        }
-                      }
-
-                      // If no direct match, try to find by voronoi property
-                      if (!conquerFeature) {
-                        const voronoiMatch = Object.values(
-                          this.conquerStatus.features,
-                        ).find((feature) => feature.voronoi === voronoiId);
-                        if (voronoiMatch) {
-                          conquerFeature = voronoiMatch;
-                        }
-                      }
-
-                      // If still no match, try by notes property
-                      if (!conquerFeature) {
-                        const notesMatch = Object.values(
-                          this.conquerStatus.features,
-                        ).find((feature) => feature.notes === townName);
-                        if (notesMatch) {
-                          conquerFeature = notesMatch;
-                        }
-                      }
-
-                      if (conquerFeature) {
-                        break;
-                      } else {
-                      }
-                    }
-                  }
-                }
-              }
-
-              // Get conquerStatus data from our local tracking system
-              if (
-                !conquerFeature &&
-                this.conquerStatus &&
-                this.conquerStatus.features
-              ) {
-                const regionData = this.mapData.get(regionName);
-                if (
-                  regionData &&
-                  regionData.dynamic &&
-                  regionData.dynamic.mapItems
-                ) {
-                  const conquerableTowns = regionData.dynamic.mapItems.filter(
-                    (item) =>
-                      this.warApi.isIconType(item.iconType) &&
-                      this.warApi.iconTypes[item.iconType].conquer,
-                  );
-
-                  for (const town of conquerableTowns) {
-                    const worldCoords = this.convertTownToWorldCoordinates(
-                      town,
-                      regionData.regionGeometry,
-                    );
-                    const isInside = this.inside(
-                      worldCoords,
-                      voronoiRegion.geometry.coordinates[0],
-                    );
-
-                    if (isInside) {
-                      // Find the town in our tracked data
-                      const townId = this.tracker.generateTownId(
-                        town.iconType,
-                        town.x,
-                        town.y,
-                      );
-                      const trackedTown = this.conquerStatus.features[townId];
-
-                      if (trackedTown) {
-                        conquerFeature = {
-                          team: trackedTown.team,
-                          lastChange: trackedTown.lastChange,
-                        };
-                      } else {
-                      }
-                      break;
-                    }
-                  }
-                }
-              }
-
-              // Get color with alpha variation using conquerStatus data
-              const teamId =
-                subRegionControl === "colonial"
-                  ? "COLONIALS"
-                  : subRegionControl === "warden"
-                    ? "WARDENS"
-                    : "NEUTRAL";
-              const color = this.getColorWithAlpha(teamId, conquerFeature);
-
-              // Add Voronoi sub-region polygon with visible styling
-              svg += `
-    <polygon points="${pointsString}" 
-             fill="${color}" 
-             stroke="rgba(0, 0, 0, 0.8)" 
-             stroke-width="1" />`;
-            }
+          // Towns are tracked under their hex and Voronoi cell name
+          const id = townKey(regionName, voronoiRegion.properties.notes);
+          const conquerFeature = this.conquerStatus?.features?.[id] || null;
+
+          const teamId =
+            subRegionControl === "colonial"
+              ? "COLONIALS"
+              : subRegionControl === "warden"
+                ? "WARDENS"
+                : "NEUTRAL";
+
+          // Fill with alpha variation using conquerStatus data
+          cells.push({
+            id,
+            teamId,
+            fill: this.getColorWithAlpha(teamId, conquerFeature),
+            geometry: voronoiRegion.geometry,
           });
         }
       } catch (error) {
         logger.warn(
-          `Failed to render Voronoi region in ${regionName}:`,
+          `Failed to read Voronoi region in ${regionName}:`,
           error.message,
         );
       }
     });
 
-    return svg;
+    return cells;
+  }
+
+  // Town cells dissolved across hex borders: one shape per fill, so only
+  // towns still fading stand apart, a thin outline around each team's
+  // territory, faint hex borders and a bold frontline where Warden and
+  // Colonial territory meet
+  renderTerritory(cells, hexGeometries, worldBounds, uniformScale, offsetX, offsetY) {
+    const toSvg = ([x, y]) =>
+      `${(offsetX + (x - worldBounds.minX) * uniformScale).toFixed(1)} ${(offsetY + (worldBounds.maxY - y) * uniformScale).toFixed(1)}`;
+    // Points that round to the same pixel tenth are dropped
+    const line = (points, close) => {
+      const projected = points
+        .map(toSvg)
+        .filter((point, i, all) => i === 0 || point !== all[i - 1]);
+      return `M${projected.join("L")}${close ? "Z" : ""}`;
+    };
+    const shapes = (polygons) =>
+      polygons.flatMap((rings) => rings.map((ring) => line(ring, true))).join("");
+
+    const byFill = new Map();
+    const byTeam = { WARDENS: [], COLONIALS: [] };
+    for (const cell of cells) {
+      if (!byFill.has(cell.fill)) byFill.set(cell.fill, []);
+      byFill.get(cell.fill).push(cell);
+      byTeam[cell.teamId]?.push(cell);
+    }
+
+    let svg = "\n  <!-- Territory -->\n  <g>";
+    for (const [fill, group] of byFill) {
+      svg += `\n    <path d="${shapes(dissolve(group))}" fill="${fill}"/>`;
+    }
+
+    const outline = shapes([...dissolve(byTeam.WARDENS), ...dissolve(byTeam.COLONIALS)]);
+    if (outline) {
+      svg += `\n    <path d="${outline}" fill="none" stroke="${this.theme.cellStroke}" stroke-width="${this.theme.cellStrokeWidth}"/>`;
+    }
+
+    const { hexBorder, frontline: front } = this.theme;
+    const hexes = hexGeometries
+      .map((geometry) => line(geometry.geometry.coordinates[0], true))
+      .join("");
+    if (hexes) {
+      svg += `\n    <path d="${hexes}" fill="none" stroke="${hexBorder.stroke}" stroke-width="${hexBorder.width}"/>`;
+    }
+
+    const lines = frontline(byTeam.WARDENS, byTeam.COLONIALS)
+      .map((points) => line(points, false))
+      .join("");
+    if (lines) {
+      svg += `\n    <path d="${lines}" fill="none" stroke="${front.stroke}" stroke-width="${this.px(front.width)}" stroke-linecap="round" stroke-linejoin="round"/>`;
+    }
+
+    return `${svg}\n  </g>`;
   }
 
   getVoronoiControlStatus(voronoiRegion, dynamicData, regionName) {
@@ -725,22 +757,6 @@ class FoxholeSVGGenerator {
       return "neutral";
     }
 
-    // Get the town's conquerStatus data from our tracked database
-    let conquerFeature = null;
-    if (this.conquerStatus && this.conquerStatus.features) {
-      // Generate the town ID using the same method as the database
-      const townId = this.tracker.generateTownId(
-        associatedTown.iconType,
-        associatedTown.x,
-        associatedTown.y,
-      );
-      conquerFeature = this.conquerStatus.features[townId];
-
-      if (conquerFeature) {
-      } else {
-      }
-    }
-
     // Return control status based on town ownership
     switch (associatedTown.teamId) {
       case "COLONIALS":
@@ -752,31 +768,29 @@ class FoxholeSVGGenerator {
     }
   }
 
-  // Get color with alpha channel using the exact logic from the main warden.express project
+  // Town cell fill for the theme. With alpha fading, recent captures are
+  // opaque and fade to the settled alpha over the fade window (the logic
+  // from the main warden.express project); pattern themes switch to their
+  // recent-capture fill instead. Baseline towns were never seen changing
+  // hands, so they stay settled.
   getColorWithAlpha(teamId, conquerFeature = null) {
-    let alpha = "BB"; // Default alpha
-
-    if (conquerFeature && conquerFeature.lastChange) {
-      const timeSinceCapture = Date.now() - conquerFeature.lastChange;
-
-      if (timeSinceCapture >= 86400000) {
-        // 24 hours
-        alpha = "BB"; // Older towns: more transparent (73% opacity)
-      } else {
-        // Exact warden.express logic
-        // Recent captures: fully opaque (255), older: more transparent
-        const alphaValue = Math.floor(255 - (timeSinceCapture / 86400000) * 68);
-        alpha = alphaValue.toString(16).padStart(2, "0");
-      }
+    const { fade, teams } = this.theme;
+    const fill = teams[teamId] || teams.NEUTRAL;
+    const age =
+      conquerFeature && conquerFeature.lastChange && !conquerFeature.baseline
+        ? Date.now() - conquerFeature.lastChange
+        : null;
+    const recent = age != null && age < fade.over;
+
+    if (fade.mode === "pattern") {
+      return (recent && fade.fills[teamId]) || fill;
     }
 
-    // Return distinct grayscale colors for e-paper display
-    if (teamId === "WARDENS") {
-      return `#404040${alpha}`; // Dark gray for Warden
-    } else if (teamId === "COLONIALS") {
-      return `#A0A0A0${alpha}`; // Medium gray for Colonial
+    let alpha = fade.settled;
+    if (recent) {
+      alpha = Math.floor(fade.recent - (age / fade.over) * (fade.recent - fade.settled));
     }
-    return `#F0F0F0${alpha}`; // Light gray for neutral
+    return `${fill}${alpha.toString(16).padStart(2, "0").toUpperCase()}`;
   }
 
   // Get proper hex name from static data
@@ -835,12 +849,7 @@ class FoxholeSVGGenerator {
 
   // Check if a map item is a victory town
   isVictoryTown(iconType, flags) {
-    // Victory base types: 45 (Relic Base), 56-58 (Town Halls)
-    const victoryBaseTypes = [45, 56, 57, 58];
-    // Victory base flag: 32 (bit flag to identify victory towns)
-    const victoryBaseFlag = 32;
-
-    return victoryBaseTypes.includes(iconType) && flags & victoryBaseFlag;
+    return isVictoryTown(iconType, flags);
   }
 
   // Check if a map item is scorched
@@ -960,19 +969,7 @@ class FoxholeSVGGenerator {
 
   convertTownToWorldCoordinates(town, regionGeometry) {
     // Use the exact coordinate conversion from the main project
-    // The main project uses extent = [-2046, 1777] and region.properties.box
-    const coords = regionGeometry.geometry.coordinates[0];
-    const minX = Math.min(...coords.map(([x]) => x));
-    const maxX = Math.max(...coords.map(([x]) => x));
-    const minY = Math.min(...coords.map(([, y]) => y));
-    const maxY = Math.max(...coords.map(([, y]) => y));
-
-    // Use the main project's coordinate conversion
-    const extent = [-2046, 1777];
-    const worldX = minX - town.x * extent[0];
-    const worldY = maxY - town.y * extent[1];
-
-    return [worldX, worldY];
+    return toWorldCoordinates(town.x, town.y, regionGeometry);
   }
 
   // Get recent captures data (reusable for both SVG and web interface)
@@ -984,60 +981,28 @@ class FoxholeSVGGenerator {
     // Collect recent captures (within last 48 hours)
     const recentCaptures = [];
     const now = Date.now();
-    const fortyEightHours = 48 * 60 * 60 * 1000;
 
     for (const [id, feature] of Object.entries(this.conquerStatus.features)) {
-      if (feature.lastChange && now - feature.lastChange < fortyEightHours) {
-        // Find the town name from static data
-        let townName = "Unknown";
-        let hexName = "Unknown";
-        for (const [regionName, data] of this.mapData) {
-          if (data.dynamic && data.dynamic.mapItems) {
-            const town = data.dynamic.mapItems.find(
-              (item) =>
-                this.warApi.isIconType(item.iconType) &&
-                this.warApi.iconTypes[item.iconType].conquer &&
-                this.tracker.generateTownId(item.iconType, item.x, item.y) ===
-                  id,
-            );
-            if (town) {
-              hexName = this.getHexName(regionName, data.regionGeometry);
-              // Try to get the actual zone name from the Voronoi regions
-              if (data.voronoiRegions) {
-                const voronoiRegion = data.voronoiRegions.find((vRegion) => {
-                  // Check if this town is inside this Voronoi region
-                  const townWorldCoords = this.convertTownToWorldCoordinates(
-                    town,
-                    data.regionGeometry,
-                  );
-                  return this.inside(
-                    townWorldCoords,
-                    vRegion.geometry.coordinates[0],
-                  );
-                });
-                if (
-                  voronoiRegion &&
-                  voronoiRegion.properties &&
-                  voronoiRegion.properties.notes
-                ) {
-                  townName = voronoiRegion.properties.notes;
-                } else {
-                  townName = this.warApi.iconTypes[town.iconType].notes;
-                }
-              } else {
-                townName = this.warApi.iconTypes[town.iconType].notes;
-              }
-              break;
-            }
-          }
-        }
+      // Baseline towns have no known capture time
+      if (feature.baseline) continue;
+
+      if (feature.lastChange && now - feature.lastChange < RECENT_CAPTURE_WINDOW) {
+        // Towns outside any Voronoi cell keep a legacy id; fall back to
+        // the tracked hex and icon name for those
+        const town = this.townRegistry.describe(id) || {
+          hexName: this.getHexName(
+            feature.region,
+            this.hexRegistry.getHex(feature.region)?.regionGeometry,
+          ),
+          townName: feature.notes || "Unknown",
+        };
 
         recentCaptures.push({
           id,
           team: feature.team,
           lastChange: feature.lastChange,
-          townName,
-          hexName,
+          townName: town.townName,
+          hexName: town.hexName,
           timeSinceCapture: now - feature.lastChange,
         });
       }
@@ -1060,22 +1025,29 @@ class FoxholeSVGGenerator {
       )
       .slice(0, 6);
 
+    return { wardenCaptures, colonialCaptures };
+  }
+
+  // Generate recent captures display optimized for e-paper (800x480)
+  generateEpaperRecentCapturesDisplay(svgWidth, svgHeight) {
+    const { wardenCaptures, colonialCaptures } = this.getRecentCapturesData();
+    const edge = this.profile.margin / 2;
+    const top = svgHeight - this.px(120);
+
     let svg = "";
 
     // Colonial captures on bottom left (compact layout)
     if (colonialCaptures.length > 0) {
-      svg += `<g transform="translate(10, ${svgHeight - 120})">`;
-      svg += `<text x="0" y="0" style="font-family: 'Segoe UI', sans-serif; font-size: 14px; font-weight: bold; fill: #000000;">Colonial</text>`;
+      svg += `<g transform="translate(${edge}, ${top})">`;
+      svg += `<text x="0" y="0" style="${this.font(14)}">Colonial</text>`;
+      // Add separator line
+      svg += `<line x1="0" y1="${this.px(5)}" x2="${this.px(75)}" y2="${this.px(5)}" style="${this.ruleStyle()}"/>`;
 
       colonialCaptures.forEach((capture, index) => {
-        const hours = Math.floor(capture.timeSinceCapture / (60 * 60 * 1000));
-        const minutes = Math.floor(
-          (capture.timeSinceCapture % (60 * 60 * 1000)) / (60 * 1000),
-        );
-        const timeText = hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+        const timeText = this.formatAge(capture.timeSinceCapture);
 
         // Compact format for e-paper with better spacing
-        svg += `<text x="0" y="${(index + 1) * 18}" style="font-family: 'Segoe UI', sans-serif; font-size: 11px; fill: #000000;">`;
+        svg += `<text x="0" y="${(index + 1) * this.px(18)}" style="${this.font(10)}">`;
         svg += `${capture.hexName} - ${capture.townName} - ${timeText}`;
         svg += `</text>`;
       });
@@ -1084,18 +1056,16 @@ class FoxholeSVGGenerator {
 
     // Warden captures on bottom right (compact layout, right-justified)
     if (wardenCaptures.length > 0) {
-      svg += `<g transform="translate(${svgWidth - 10}, ${svgHeight - 120})">`;
-      svg += `<text x="0" y="0" style="font-family: 'Segoe UI', sans-serif; font-size: 14px; font-weight: bold; fill: #000000; text-anchor: end;">Warden</text>`;
+      svg += `<g transform="translate(${svgWidth - edge}, ${top})">`;
+      svg += `<text x="0" y="0" style="${this.font(14, " text-anchor: end;")}">Warden</text>`;
+      // Add separator line (same width as Colonial side, but right-aligned)
+      svg += `<line x1="${-this.px(75)}" y1="${this.px(5)}" x2="0" y2="${this.px(5)}" style="${this.ruleStyle()}"/>`;
 
       wardenCaptures.forEach((capture, index) => {
-        const hours = Math.floor(capture.timeSinceCapture / (60 * 60 * 1000));
-        const minutes = Math.floor(
-          (capture.timeSinceCapture % (60 * 60 * 1000)) / (60 * 1000),
-        );
-        const timeText = hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+        const timeText = this.formatAge(capture.timeSinceCapture);
 
         // Compact format for e-paper, right-justified with better spacing
-        svg += `<text x="0" y="${(index + 1) * 18}" style="font-family: 'Segoe UI', sans-serif; font-size: 11px; fill: #000000; text-anchor: end;">`;
+        svg += `<text x="0" y="${(index + 1) * this.px(18)}" style="${this.font(10, " text-anchor: end;")}">`;
         svg += `${capture.hexName} - ${capture.townName} - ${timeText}`;
         svg += `</text>`;
       });
@@ -1105,145 +1075,282 @@ class FoxholeSVGGenerator {
     return svg;
   }
 
-  // Get recent captures data (reusable for both SVG and web interface)
-  getRecentCapturesData() {
-    if (!this.conquerStatus || !this.conquerStatus.features) {
-      return { wardenCaptures: [], colonialCaptures: [] };
+  // "5m", "3h 12m", or "4d 2h" once past two days
+  formatAge(ms) {
+    const hours = Math.floor(ms / (60 * 60 * 1000));
+    const minutes = Math.floor((ms % (60 * 60 * 1000)) / (60 * 1000));
+    if (hours >= 48) return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  }
+
+  // Capture log of one hex in the current war, newest first
+  getHexCaptures(hexId, limit = 12) {
+    try {
+      return this.tracker.getCaptureEvents({
+        region: hexId,
+        warNumber: this.warNumber ?? null,
+        limit,
+      });
+    } catch (error) {
+      logger.warn(`Failed to load captures for ${hexId}:`, error.message);
+      return [];
     }
+  }
 
-    // Collect recent captures (within last 48 hours)
-    const recentCaptures = [];
-    const now = Date.now();
-    const fortyEightHours = 48 * 60 * 60 * 1000;
+  // World bounds of a hex outline
+  getHexBounds(regionGeometry) {
+    const coords = regionGeometry.geometry.coordinates[0];
+    return {
+      minX: Math.min(...coords.map(([x]) => x)),
+      maxX: Math.max(...coords.map(([x]) => x)),
+      minY: Math.min(...coords.map(([, y]) => y)),
+      maxY: Math.max(...coords.map(([, y]) => y)),
+    };
+  }
 
-    for (const [id, feature] of Object.entries(this.conquerStatus.features)) {
-      if (feature.lastChange && now - feature.lastChange < fortyEightHours) {
-        // Find the town name from static data
-        let townName = "Unknown";
-        let hexName = "Unknown";
-        for (const [regionName, data] of this.mapData) {
-          if (data.dynamic && data.dynamic.mapItems) {
-            const town = data.dynamic.mapItems.find(
-              (item) =>
-                this.warApi.isIconType(item.iconType) &&
-                this.warApi.iconTypes[item.iconType].conquer &&
-                this.tracker.generateTownId(item.iconType, item.x, item.y) ===
-                  id,
-            );
-            if (town) {
-              hexName = this.getHexName(regionName, data.regionGeometry);
-              // Try to get the actual zone name from the Voronoi regions
-              if (data.voronoiRegions) {
-                const voronoiRegion = data.voronoiRegions.find((vRegion) => {
-                  // Check if this town is inside this Voronoi region
-                  const townWorldCoords = this.convertTownToWorldCoordinates(
-                    town,
-                    data.regionGeometry,
-                  );
-                  return this.inside(
-                    townWorldCoords,
-                    vRegion.geometry.coordinates[0],
-                  );
-                });
-                if (
-                  voronoiRegion &&
-                  voronoiRegion.properties &&
-                  voronoiRegion.properties.notes
-                ) {
-                  townName = voronoiRegion.properties.notes;
-                } else {
-                  townName = this.warApi.iconTypes[town.iconType].notes;
-                }
-              } else {
-                townName = this.warApi.iconTypes[town.iconType].notes;
-              }
-              break;
-            }
-          }
-        }
+  // One hex full-screen: its town cells, town icons by kind and tier,
+  // Major and Minor labels kept clear of each other, and the hex's capture
+  // log beside it (landscape) or below it (portrait)
+  generateHexDetailSVG(hexId) {
+    const data = this.mapData.get(hexId);
+    if (!data || !data.regionGeometry) {
+      throw new Error(`Unknown hex: ${hexId}`);
+    }
 
-        recentCaptures.push({
-          id,
-          team: feature.team,
-          lastChange: feature.lastChange,
-          townName,
-          hexName,
-          timeSinceCapture: now - feature.lastChange,
-        });
-      }
+    const svgWidth = this.profile.layoutWidth;
+    const svgHeight = this.profile.layoutHeight;
+    const { margin } = this.profile;
+    const portrait = this.profile.orientation === "portrait";
+    const regionControl = this.getDisplayedRegionControl(hexId, data);
+
+    // Fit the hex into the map area
+    const bounds = this.getHexBounds(data.regionGeometry);
+    const top = this.px(54);
+    const listWidth = portrait ? 0 : this.px(250);
+    const area = {
+      x: margin,
+      y: top,
+      width: svgWidth - 2 * margin - listWidth,
+      height: portrait
+        ? (svgHeight - top) * 0.6
+        : svgHeight - top - this.px(24),
+    };
+    const hexWidth = bounds.maxX - bounds.minX;
+    const hexHeight = bounds.maxY - bounds.minY;
+    const scale = Math.min(area.width / hexWidth, area.height / hexHeight);
+    const offsetX = area.x + (area.width - hexWidth * scale) / 2;
+    const offsetY = area.y + (area.height - hexHeight * scale) / 2;
+    const toSvg = ([x, y]) => [
+      offsetX + (x - bounds.minX) * scale,
+      offsetY + (bounds.maxY - y) * scale,
+    ];
+
+    let svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}" 
+     xmlns="http://www.w3.org/2000/svg">
+${this.generateDefs()}
+  
+  <!-- Background -->
+  <rect width="${svgWidth}" height="${svgHeight}" fill="${this.theme.background}"/>
+${this.generateHexHeader(hexId, data, regionControl, svgWidth)}`;
+
+    const pointsString = data.regionGeometry.geometry.coordinates[0]
+      .map((point) => toSvg(point).map((value) => value.toFixed(1)).join(","))
+      .join(" ");
+    svg += `
+  <g id="${hexId}">
+    <polygon points="${pointsString}" class="${regionControl}-region" />
+  </g>`;
+    if (regionControl !== "inactive" && data.voronoiRegions.length > 0) {
+      svg += this.renderTerritory(
+        this.getVoronoiCells(hexId, data.voronoiRegions, data.dynamic),
+        [],
+        bounds,
+        scale,
+        offsetX,
+        offsetY,
+      );
     }
+    svg += `
+  <polygon points="${pointsString}" fill="none" stroke="${this.theme.text}" stroke-width="${this.px(1.5)}" />`;
 
-    // Sort by most recent first
-    recentCaptures.sort((a, b) => a.timeSinceCapture - b.timeSinceCapture);
+    // Town icons, which labels then avoid
+    const obstacles = [];
+    svg += "\n  <!-- Towns -->\n  <g>";
+    for (const town of data.dynamic?.mapItems || []) {
+      const icon = TOWN_ICONS[town.iconType];
+      if (!icon) continue;
 
-    // Take only the 6 most recent captures for each team (optimized for e-paper)
-    const wardenCaptures = recentCaptures
-      .filter(
-        (capture) => capture.team === "WARDENS" || capture.team === "Warden",
-      )
-      .slice(0, 6);
+      const [x, y] = toSvg(
+        this.convertTownToWorldCoordinates(town, data.regionGeometry),
+      );
+      const radius = this.px(iconRadius(icon.tier));
+      const marker =
+        this.theme.markers[town.teamId] || this.theme.markers.NEUTRAL;
+      svg += `\n    ${townIconMarkup(x, y, icon, marker, {
+        radius,
+        victory: isVictoryTown(town.iconType, town.flags),
+      })}`;
+      obstacles.push({
+        x: x - radius,
+        y: y - radius,
+        width: radius * 2,
+        height: radius * 2,
+      });
+    }
+    svg += "\n  </g>";
 
-    const colonialCaptures = recentCaptures
-      .filter(
-        (capture) =>
-          capture.team === "COLONIALS" || capture.team === "Colonial",
+    // Major labels always show; Minor ones only where there is room
+    const labels = [...(data.static?.mapTextItems || [])]
+      .sort(
+        (a, b) =>
+          (a.properties.type === "Major" ? 0 : 1) -
+          (b.properties.type === "Major" ? 0 : 1),
       )
-      .slice(0, 6);
+      .map((item) => {
+        const major = item.properties.type === "Major";
+        const [x, y] = toSvg(item.geometry.coordinates);
+        return {
+          text: item.properties.notes,
+          x,
+          y,
+          fontSize: major ? 12 : 9,
+          size: this.px(major ? 12 : 9),
+          bold: major,
+          required: major,
+          gap: this.px(major ? 8 : 4),
+        };
+      });
+    svg += "\n  <!-- Labels -->\n  <g>";
+    for (const label of placeLabels(labels, { area, obstacles })) {
+      const { box } = label;
+      svg += `
+    <rect x="${box.x.toFixed(1)}" y="${box.y.toFixed(1)}" width="${box.width.toFixed(1)}" height="${box.height.toFixed(1)}" fill="${this.theme.labelBackground}"/>
+    <text x="${label.textX.toFixed(1)}" y="${label.textY.toFixed(1)}" style="${this.font(label.fontSize, " text-anchor: middle;", label.bold ? "bold" : "normal")}">${label.text}</text>`;
+    }
+    svg += "\n  </g>";
 
-    return { wardenCaptures, colonialCaptures };
-  }
+    svg += portrait
+      ? this.generateHexCaptureList(
+          hexId,
+          margin,
+          area.y + area.height + this.px(28),
+          svgHeight - this.px(30),
+        )
+      : this.generateHexCaptureList(
+          hexId,
+          svgWidth - margin - listWidth + this.px(14),
+          top + this.px(14),
+          svgHeight - this.px(30),
+        );
 
-  // Generate recent captures display optimized for e-paper (800x480)
-  generateEpaperRecentCapturesDisplay(svgWidth, svgHeight) {
-    const { wardenCaptures, colonialCaptures } = this.getRecentCapturesData();
+    svg += this.generateStaleBanner(svgWidth, svgHeight);
+    svg += this.generateTimestamp(svgWidth, svgHeight);
+    svg += "</svg>";
+    return this.orientForDisplay(svg);
+  }
 
-    let svg = "";
+  // Hex name, town counts and war information
+  generateHexHeader(hexId, data, regionControl, svgWidth) {
+    const { margin } = this.profile;
+    const counts = { WARDENS: 0, COLONIALS: 0, NEUTRAL: 0 };
+    let victoryTowns = 0;
+    for (const town of data.dynamic?.mapItems || []) {
+      if (!TOWN_ICONS[town.iconType]) continue;
+      counts[town.teamId in counts ? town.teamId : "NEUTRAL"]++;
+      if (isVictoryTown(town.iconType, town.flags)) victoryTowns++;
+    }
 
-    // Colonial captures on bottom left (compact layout)
-    if (colonialCaptures.length > 0) {
-      svg += `<g transform="translate(10, ${svgHeight - 120})">`;
-      svg += `<text x="0" y="0" style="font-family: 'Segoe UI', sans-serif; font-size: 14px; font-weight: bold; fill: #000000;">Colonial</text>`;
-      // Add separator line
-      svg += `<line x1="0" y1="5" x2="75" y2="5" style="stroke: #000000; stroke-width: 1;"/>`;
+    const control =
+      regionControl.charAt(0).toUpperCase() + regionControl.slice(1);
+    const resistance = this.isResistancePhase();
 
-      colonialCaptures.forEach((capture, index) => {
-        const hours = Math.floor(capture.timeSinceCapture / (60 * 60 * 1000));
-        const minutes = Math.floor(
-          (capture.timeSinceCapture % (60 * 60 * 1000)) / (60 * 1000),
-        );
-        const timeText = hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    return `
+  <!-- Hex Header -->
+  <g transform="translate(${margin}, ${this.px(26)})">
+    <text x="0" y="0" style="${this.font(20)}">${this.getHexName(hexId, data.regionGeometry)}</text>
+    <text x="0" y="${this.px(18)}" style="${this.font(11, "", "normal")}">${control} · Warden ${counts.WARDENS} · Colonial ${counts.COLONIALS} · Neutral ${counts.NEUTRAL} · Victory towns ${victoryTowns}</text>
+  </g>
+  <g transform="translate(${svgWidth - margin}, ${this.px(26)})">
+    <text x="0" y="0" style="${this.font(14, " text-anchor: end;")}">${this.shardLabel ? `${this.shardLabel} - ` : ""}War #${this.warNumber || "?"} - ${this.getWarDuration()}</text>
+    ${resistance ? `<text x="0" y="${this.px(18)}" style="${this.font(12, ` fill: ${this.theme.alert}; text-anchor: end;`)}">RESISTANCE PHASE - ${this.getResistanceDuration()}</text>` : ""}
+  </g>
+`;
+  }
 
-        // Compact format for e-paper with better spacing
-        svg += `<text x="0" y="${(index + 1) * 18}" style="font-family: 'Segoe UI', sans-serif; font-size: 10px; font-weight: bold; fill: #000000;">`;
-        svg += `${capture.hexName} - ${capture.townName} - ${timeText}`;
-        svg += `</text>`;
-      });
-      svg += `</g>`;
+  // Capture log of one hex, one row per capture with a team marker, down
+  // to `bottom`
+  generateHexCaptureList(hexId, x, y, bottom) {
+    const rowHeight = this.px(18);
+    const rows = Math.max(0, Math.floor((bottom - y - this.px(10)) / rowHeight));
+    const captures = this.getHexCaptures(hexId, rows);
+    const now = Date.now();
+    // Captures store the team name ("Warden", "Colonial", "" for neutral)
+    const teamIds = { Warden: "WARDENS", Colonial: "COLONIALS" };
+    const size = this.px(8);
+
+    let svg = `
+  <!-- Hex Captures -->
+  <g transform="translate(${x}, ${y})">
+    <text x="0" y="0" style="${this.font(14)}">Captures this war</text>
+    <line x1="0" y1="${this.px(5)}" x2="${this.px(140)}" y2="${this.px(5)}" style="${this.ruleStyle()}"/>`;
+
+    if (captures.length === 0) {
+      svg += `
+    <text x="0" y="${rowHeight}" style="${this.font(10, "", "normal")}">No captures recorded</text>`;
     }
 
-    // Warden captures on bottom right (compact layout, right-justified)
-    if (wardenCaptures.length > 0) {
-      svg += `<g transform="translate(${svgWidth - 10}, ${svgHeight - 120})">`;
-      svg += `<text x="0" y="0" style="font-family: 'Segoe UI', sans-serif; font-size: 14px; font-weight: bold; fill: #000000; text-anchor: end;">Warden</text>`;
-      // Add separator line (same width as Colonial side, but right-aligned)
-      svg += `<line x1="-75" y1="5" x2="0" y2="5" style="stroke: #000000; stroke-width: 1;"/>`;
+    captures.forEach((capture, index) => {
+      const rowY = (index + 1) * rowHeight;
+      const marker =
+        this.theme.markers[teamIds[capture.toTeam]] ||
+        this.theme.markers.NEUTRAL;
+      const townName =
+        this.townRegistry.describe(capture.townId)?.townName ||
+        capture.notes ||
+        "Unknown";
+      const team = capture.toTeam || "Neutral";
+      svg += `
+    <rect x="0" y="${(rowY - size).toFixed(1)}" width="${size}" height="${size}" fill="${marker.fill}" stroke="${marker.stroke}" stroke-width="1"/>
+    <text x="${this.px(14)}" y="${rowY}" style="${this.font(10)}">${townName} - ${team} - ${this.formatAge(now - capture.observedAt)}</text>`;
+    });
 
-      wardenCaptures.forEach((capture, index) => {
-        const hours = Math.floor(capture.timeSinceCapture / (60 * 60 * 1000));
-        const minutes = Math.floor(
-          (capture.timeSinceCapture % (60 * 60 * 1000)) / (60 * 1000),
-        );
-        const timeText = hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    return `${svg}
+  </g>
+`;
+  }
 
-        // Compact format for e-paper, right-justified with better spacing
-        svg += `<text x="0" y="${(index + 1) * 18}" style="font-family: 'Segoe UI', sans-serif; font-size: 10px; font-weight: bold; fill: #000000; text-anchor: end;">`;
-        svg += `${capture.hexName} - ${capture.townName} - ${timeText}`;
-        svg += `</text>`;
-      });
-      svg += `</g>`;
-    }
+  // Hash of what a hex detail screen shows, like getDashboardFingerprint
+  getHexFingerprint(hexId) {
+    const data = this.mapData.get(hexId);
+    const now = Date.now();
+    const towns = (data?.dynamic?.mapItems || [])
+      .filter((town) => TOWN_ICONS[town.iconType])
+      .map((town) => [town.iconType, town.x, town.y, town.teamId, town.flags]);
+    const fresh = Object.entries(this.conquerStatus?.features || {})
+      .filter(
+        ([, town]) =>
+          town.region === hexId &&
+          !town.baseline &&
+          town.lastChange &&
+          now - town.lastChange < this.theme.fade.over,
+      )
+      .map(([id]) => id)
+      .sort();
+
+    const state = {
+      shardLabel: this.shardLabel,
+      hexId,
+      warNumber: this.warNumber,
+      resistance: this.isResistancePhase(),
+      staleSince: this.watchdog?.getStaleSince() ?? null,
+      control: data ? this.getDisplayedRegionControl(hexId, data) : null,
+      towns,
+      fresh,
+      captures: this.getHexCaptures(hexId).map((capture) => capture.id),
+    };
 
-    return svg;
+    return createHash("sha256").update(JSON.stringify(state)).digest("hex");
   }
 
   // Inside function from the main project
@@ -1306,19 +1413,6 @@ class FoxholeSVGGenerator {
     svg += `
     <polygon points="${pointsString}" class="${regionControl}-region" />`;
 
-    // Add pre-generated Voronoi sub-regions (behind other elements) - skip for inactive regions
-    if (regionControl !== "inactive" && data.voronoiRegions && data.voronoiRegions.length > 0) {
-      svg += this.renderExistingVoronoiRegions(
-        regionName,
-        data.voronoiRegions,
-        data.dynamic,
-        worldBounds,
-        scale,
-        offsetX,
-        offsetY,
-      );
-    }
-
     // Add major landmarks as subtle points only (no text clutter)
     if (data.static && data.static.mapTextItems) {
       data.static.mapTextItems.forEach((landmark) => {
@@ -1345,6 +1439,15 @@ class FoxholeSVGGenerator {
     return svg;
   }
 
+  // Output files for the default shard keep their original names
+  getOutputSuffix() {
+    const shard = this.shard.id === DEFAULT_SHARD ? "" : `-${this.shard.id}`;
+    const profile =
+      this.profile.id === DEFAULT_PROFILE ? "" : `-${this.profile.id}`;
+    const theme = this.theme.id === DEFAULT_THEME ? "" : `-${this.theme.id}`;
+    return `${shard}${profile}${theme}`;
+  }
+
   async generateAndSaveEpaperSVG() {
     try {
       await this.fetchAllMapData();
@@ -1355,14 +1458,15 @@ class FoxholeSVGGenerator {
 
       // Save e-paper SVG file
       const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-      const filename = `/app/output/foxhole-map-epaper-${timestamp}.svg`;
+      const suffix = this.getOutputSuffix();
+      const filename = `/app/output/foxhole-map-epaper${suffix}-${timestamp}.svg`;
 
       await fs.writeFile(filename, svg);
       logger.info(`E-paper SVG map generated: ${filename}`);
 
       // Also save as latest-epaper.svg for easy access
-      await fs.writeFile("/app/output/latest-epaper.svg", svg);
-      logger.info("Saved as latest-epaper.svg");
+      await fs.writeFile(`/app/output/latest-epaper${suffix}.svg`, svg);
+      logger.info(`Saved as latest-epaper${suffix}.svg`);
 
       return filename;
     } catch (error) {
@@ -1370,6 +1474,33 @@ class FoxholeSVGGenerator {
       throw error;
     }
   }
+
+  // Rasterise the dashboard for the panel and save it as
+  // latest-epaper<suffix>.png (or .bmp). Bits and dither default to the
+  // display profile's.
+  async generateAndSaveBitmap(options = {}) {
+    try {
+      await this.fetchAllMapData();
+      const svg = this.generateEpaperSVG();
+      const format = options.format || "png";
+      const raster = { ...getRasterDefaults(this.profile), ...options, format };
+
+      const startedAt = Date.now();
+      const image = renderBitmap(svg, raster);
+
+      await fs.mkdir("/app/output", { recursive: true });
+      const filename = `latest-epaper${this.getOutputSuffix()}.${format}`;
+      await fs.writeFile(`/app/output/${filename}`, image);
+      logger.info(
+        `E-paper ${format.toUpperCase()} rendered (${raster.bits}-bit, ${raster.dither}, ${Date.now() - startedAt}ms): ${filename}`,
+      );
+
+      return image;
+    } catch (error) {
+      logger.error("Error rendering e-paper bitmap:", error);
+      throw error;
+    }
+  }
 }
 
 // Run if called directly
@@ -0,0 +1,134 @@
+// Drawing helpers for the single-hex detail render: town icons by kind and
+// tier, and label placement that keeps names off each other and the icons.
+
+import { bitmapTextWidth } from "./bitmap-font.js";
+
+// Town kinds and tiers by War API icon type
+export const TOWN_ICONS = {
+  56: { kind: "townHall", tier: 1 },
+  57: { kind: "townHall", tier: 2 },
+  58: { kind: "townHall", tier: 3 },
+  27: { kind: "keep", tier: 2 },
+  45: { kind: "relic", tier: 1 },
+  46: { kind: "relic", tier: 2 },
+  47: { kind: "relic", tier: 3 },
+};
+
+// Half the width of an icon of the given tier, before font scaling
+export const iconRadius = (tier) => 4 + tier * 2;
+
+// Town hall squares, relic base diamonds and keep circles, sized by tier.
+// Victory towns get a ring around the icon.
+export function townIconMarkup(x, y, { kind, tier }, marker, { radius, victory = false }) {
+  const r = radius;
+  const paint = `fill="${marker.fill}" stroke="${marker.stroke}" stroke-width="${marker.strokeWidth}"`;
+  let svg = "";
+
+  if (victory) {
+    svg += `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${(r * 1.6).toFixed(1)}" fill="none" stroke="${marker.stroke}" stroke-width="${marker.strokeWidth}"/>`;
+  }
+
+  switch (kind) {
+    case "relic":
+      svg += `<polygon points="${x.toFixed(1)},${(y - r).toFixed(1)} ${(x + r).toFixed(1)},${y.toFixed(1)} ${x.toFixed(1)},${(y + r).toFixed(1)} ${(x - r).toFixed(1)},${y.toFixed(1)}" ${paint}/>`;
+      break;
+    case "keep":
+      svg += `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${(r * 0.8).toFixed(1)}" ${paint}/>`;
+      break;
+    default:
+      svg += `<rect x="${(x - r * 0.8).toFixed(1)}" y="${(y - r * 0.8).toFixed(1)}" width="${(r * 1.6).toFixed(1)}" height="${(r * 1.6).toFixed(1)}" ${paint}/>`;
+  }
+
+  // Tells a team apart from neutral where fills alone can't (1-bit)
+  if (marker.dot) {
+    svg += `<rect x="${(x - 1).toFixed(1)}" y="${(y - 1).toFixed(1)}" width="2" height="2" fill="${marker.stroke}"/>`;
+  }
+  return svg;
+}
+
+// Rough rendered width of a label; errs wide so placed labels keep a gap.
+// The same SVG also goes through the rasteriser, whose bitmap font runs
+// wider than a browser's at small sizes, so the wider of the two is used.
+export function estimateTextWidth(text, size, bold = false) {
+  return Math.max(
+    text.length * size * (bold ? 0.66 : 0.58),
+    bitmapTextWidth(text, size, bold),
+  );
+}
+
+const overlaps = (a, b) =>
+  a.x < b.x + b.width &&
+  b.x < a.x + a.width &&
+  a.y < b.y + b.height &&
+  b.y < a.y + a.height;
+
+const inside = (box, area) =>
+  box.x >= area.x &&
+  box.y >= area.y &&
+  box.x + box.width <= area.x + area.width &&
+  box.y + box.height <= area.y + area.height;
+
+// Greedy placement in the order given (most important first). Each label
+// { text, x, y, size, bold, required } tries centered on its point, then
+// above, below, right and left of it, then the corners, then the same
+// spots twice as far out; the first spot clear of the obstacles and
+// earlier labels, and inside the area, wins. Labels with no clear spot are
+// dropped unless `required`, which then take the spot with the fewest
+// overlaps, inside the area if any spot is. Returns the placed labels with
+// their box and text position (center x, baseline y).
+export function placeLabels(labels, { area, obstacles = [], padding = 2 }) {
+  const taken = [...obstacles];
+  const placed = [];
+
+  for (const label of labels) {
+    const width = estimateTextWidth(label.text, label.size, label.bold) + padding * 2;
+    const height = label.size + padding * 2;
+    const candidates = [{ x: label.x - width / 2, y: label.y - height / 2 }];
+    for (const gap of [label.gap ?? 4, (label.gap ?? 4) * 2 + height]) {
+      const above = label.y - gap - height;
+      const below = label.y + gap;
+      const right = label.x + gap;
+      const left = label.x - gap - width;
+      const middleX = label.x - width / 2;
+      const middleY = label.y - height / 2;
+      candidates.push(
+        { x: middleX, y: above },
+        { x: middleX, y: below },
+        { x: right, y: middleY },
+        { x: left, y: middleY },
+        { x: right, y: above },
+        { x: left, y: above },
+        { x: right, y: below },
+        { x: left, y: below },
+      );
+    }
+
+    let best = null;
+    let bestScore = null;
+    for (const spot of candidates) {
+      const box = { ...spot, width, height };
+      const score = [
+        inside(box, area) ? 0 : 1,
+        taken.filter((other) => overlaps(box, other)).length,
+      ];
+      if (!bestScore || score[0] < bestScore[0] || (score[0] === bestScore[0] && score[1] < bestScore[1])) {
+        best = box;
+        bestScore = score;
+      }
+      if (score[0] === 0 && score[1] === 0) break;
+    }
+
+    const clear = bestScore[0] === 0 && bestScore[1] === 0;
+    if (!clear && !label.required) continue;
+
+    taken.push(best);
+    placed.push({
+      ...label,
+      box: best,
+      textX: best.x + best.width / 2,
+      textY: best.y + padding + label.size * 0.82,
+    });
+  }
+
+  return placed;
+}
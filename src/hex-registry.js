@@ -0,0 +1,139 @@
+import logger from "./logger.js";
+import { loadStaticData } from "./static-data.js";
+
+// Single list of hexes shared by the updater and the renderer.
+//
+// Built from the live worldconquest/maps list merged with the geometry in
+// static.json, so a new hex shows up without a code change as soon as
+// static.json knows its outline. Hexes only one side knows about are
+// reported: live hexes without geometry can't be drawn, and hexes with
+// geometry that aren't live are drawn as inactive (e.g. during resistance).
+class HexRegistry {
+  constructor(warApi) {
+    this.warApi = warApi;
+    this.hexes = new Map();
+    this.missingGeometry = [];
+    this.notLive = [];
+    this.refreshedAt = null;
+  }
+
+  async refresh() {
+    const staticData = await loadStaticData();
+
+    let liveNames;
+    try {
+      const maps = await this.warApi.maps();
+      liveNames = (Array.isArray(maps) ? maps : maps.maps || []).map(
+        (map) => map.name || map,
+      );
+    } catch (error) {
+      if (this.refreshedAt) {
+        logger.warn(
+          "Failed to refresh hex list, keeping previous one:",
+          error.message,
+        );
+        return this;
+      }
+      // Never loaded yet: assume every hex we have geometry for is live
+      logger.warn(
+        "Failed to fetch hex list, assuming all static hexes are live:",
+        error.message,
+      );
+      liveNames = null;
+    }
+
+    const regions = staticData.features.filter(
+      (f) => f.properties.type === "Region",
+    );
+    const staticNames = regions.map((region) => region.id);
+    const live = new Set(liveNames || staticNames);
+
+    // Live order first, then the static-only hexes
+    const ordered = [
+      ...(liveNames || []).filter((name) => staticNames.includes(name)),
+      ...staticNames.filter((name) => !live.has(name) || !liveNames),
+    ];
+
+    const hexes = new Map();
+    for (const name of ordered) {
+      const regionGeometry = regions.find((region) => region.id === name);
+      hexes.set(name, {
+        id: name,
+        name: regionGeometry.properties.notes || name,
+        live: live.has(name),
+        regionGeometry,
+        mapTextItems: staticData.features.filter(
+          (f) =>
+            f.properties.region === name &&
+            (f.properties.type === "Major" || f.properties.type === "Minor"),
+        ),
+        voronoiRegions: staticData.features.filter(
+          (f) => f.properties.type === "voronoi" && f.properties.region === name,
+        ),
+      });
+    }
+
+    const missingGeometry = [...live].filter(
+      (name) => !staticNames.includes(name),
+    );
+    const notLive = staticNames.filter((name) => !live.has(name));
+
+    if (missingGeometry.join() !== this.missingGeometry.join()) {
+      if (missingGeometry.length > 0) {
+        logger.warn(
+          `Live hexes without static geometry (run build-static): ${missingGeometry.join(", ")}`,
+        );
+      }
+    }
+    if (notLive.join() !== this.notLive.join()) {
+      if (notLive.length > 0) {
+        logger.info(`Hexes not currently live: ${notLive.join(", ")}`);
+      }
+    }
+
+    this.hexes = hexes;
+    this.missingGeometry = missingGeometry;
+    this.notLive = notLive;
+    this.refreshedAt = Date.now();
+    return this;
+  }
+
+  getHex(name) {
+    return this.hexes.get(name) || null;
+  }
+
+  // Lookup by War API name as a user would type it: case and the "Hex"
+  // suffix are optional ("deadlands" finds DeadLandsHex)
+  findHex(name) {
+    const wanted = name.trim().toLowerCase().replace(/hex$/, "");
+    return (
+      this.getAllHexes().find(
+        (hex) => hex.id.toLowerCase().replace(/hex$/, "") === wanted,
+      ) || null
+    );
+  }
+
+  // Hexes that are both live and drawable
+  getLiveHexes() {
+    return [...this.hexes.values()].filter((hex) => hex.live);
+  }
+
+  // Every hex with geometry, live or not
+  getAllHexes() {
+    return [...this.hexes.values()];
+  }
+
+  getReport() {
+    return {
+      live: this.getLiveHexes().length,
+      total: this.hexes.size,
+      missingGeometry: this.missingGeometry,
+      notLive: this.notLive,
+      refreshedAt: this.refreshedAt
+        ? new Date(this.refreshedAt).toISOString()
+        : null,
+    };
+  }
+}
+
+export default HexRegistry;
@@ -0,0 +1,113 @@
+import { deflateSync } from "zlib";
+
+// Encoders for dithered gray levels (one per pixel, 0 = black, 2^bits - 1 =
+// white) at 1, 2 or 4 bits per pixel
+
+export const BIT_DEPTHS = [1, 2, 4];
+
+// Pack each row MSB first, `rowBytes` long (padding stays zero)
+function packRows(levels, width, height, bits, rowBytes, { bottomUp = false } = {}) {
+  const packed = Buffer.alloc(rowBytes * height);
+  const perByte = 8 / bits;
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = (bottomUp ? height - 1 - y : y) * rowBytes;
+    for (let x = 0; x < width; x++) {
+      const shift = 8 - bits * ((x % perByte) + 1);
+      packed[rowStart + Math.floor(x / perByte)] |= levels[y * width + x] << shift;
+    }
+  }
+  return packed;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Grayscale PNG at the given bit depth
+export function encodePng(levels, width, height, bits) {
+  const rowBytes = Math.ceil((width * bits) / 8);
+  const packed = packRows(levels, width, height, bits, rowBytes);
+
+  // Every scanline starts with filter type 0 (none)
+  const raw = Buffer.alloc((rowBytes + 1) * height);
+  for (let y = 0; y < height; y++) {
+    packed.copy(raw, y * (rowBytes + 1) + 1, y * rowBytes, (y + 1) * rowBytes);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bits;
+  header[9] = 0; // Grayscale
+  header[10] = 0; // Deflate
+  header[11] = 0; // Adaptive filtering
+  header[12] = 0; // No interlace
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", deflateSync(raw, { level: 9 })),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// Palette BMP with one gray entry per level. 2 bits per pixel is valid in
+// the format but some desktop viewers only open 1, 4 and 8.
+export function encodeBmp(levels, width, height, bits) {
+  const colors = 1 << bits;
+  const rowBytes = Math.ceil((width * bits) / 32) * 4;
+  const pixels = packRows(levels, width, height, bits, rowBytes, {
+    bottomUp: true,
+  });
+
+  const palette = Buffer.alloc(colors * 4);
+  for (let i = 0; i < colors; i++) {
+    const gray = Math.round((i * 255) / (colors - 1));
+    palette[i * 4] = gray; // Blue
+    palette[i * 4 + 1] = gray; // Green
+    palette[i * 4 + 2] = gray; // Red
+  }
+
+  const offset = 14 + 40 + palette.length;
+  const header = Buffer.alloc(54);
+  // BITMAPFILEHEADER
+  header.write("BM", 0, "ascii");
+  header.writeUInt32LE(offset + pixels.length, 2);
+  header.writeUInt32LE(offset, 10);
+  // BITMAPINFOHEADER, bottom-up rows
+  header.writeUInt32LE(40, 14);
+  header.writeInt32LE(width, 18);
+  header.writeInt32LE(height, 22);
+  header.writeUInt16LE(1, 26); // Planes
+  header.writeUInt16LE(bits, 28);
+  header.writeUInt32LE(0, 30); // No compression
+  header.writeUInt32LE(pixels.length, 34);
+  header.writeInt32LE(2835, 38); // 72 DPI
+  header.writeInt32LE(2835, 42);
+  header.writeUInt32LE(colors, 46);
+  header.writeUInt32LE(colors, 50);
+
+  return Buffer.concat([header, palette, pixels]);
+}
@@ -0,0 +1,299 @@
+import logger from "./logger.js";
+
+// Numbered schema migrations for the tracker database.
+//
+// Each migration runs once, in order, inside its own transaction, and the
+// applied versions are recorded in schema_version. Never edit a migration
+// that has shipped; add a new one instead. Migrations 1-4 describe the
+// schema as it existed before versioning and are written to be no-ops
+// against a database that already has it.
+
+function addColumnIfMissing(db, table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some((c) => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "towns",
+    up(db) {
+      // Towns table to track control changes
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS towns (
+          id TEXT PRIMARY KEY,
+          iconType TEXT NOT NULL,
+          x REAL NOT NULL,
+          y REAL NOT NULL,
+          region TEXT NOT NULL,
+          currentTeam TEXT NOT NULL,
+          lastTeam TEXT,
+          lastChange INTEGER NOT NULL,
+          notes TEXT,
+          created_at INTEGER DEFAULT (strftime('%s', 'now')),
+          updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_towns_region ON towns(region);
+        CREATE INDEX IF NOT EXISTS idx_towns_coords ON towns(x, y);
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: "war_reports",
+    up(db) {
+      // War report time series: one row per hex each time its report changes
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS war_reports (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          region TEXT NOT NULL,
+          observedAt INTEGER NOT NULL,
+          warNumber INTEGER,
+          dayOfWar INTEGER,
+          totalEnlistments INTEGER NOT NULL,
+          colonialCasualties INTEGER NOT NULL,
+          wardenCasualties INTEGER NOT NULL,
+          version INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS idx_war_reports_region_time ON war_reports(region, observedAt);
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: "capture_events",
+    up(db) {
+      // Append-only log of every observed change of ownership
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS capture_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          townId TEXT NOT NULL,
+          region TEXT NOT NULL,
+          notes TEXT,
+          fromTeam TEXT,
+          toTeam TEXT NOT NULL,
+          observedAt INTEGER NOT NULL,
+          warNumber INTEGER,
+          pollId INTEGER
+        );
+        CREATE INDEX IF NOT EXISTS idx_capture_events_time ON capture_events(observedAt);
+        CREATE INDEX IF NOT EXISTS idx_capture_events_region ON capture_events(region, observedAt);
+        CREATE INDEX IF NOT EXISTS idx_capture_events_town ON capture_events(townId, observedAt);
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: "wars",
+    up(db) {
+      // Tag every tracked town with the war it belongs to
+      addColumnIfMissing(db, "towns", "warNumber", "INTEGER");
+
+      // One row per war seen; archivedAt is set when a newer war replaces
+      // it. towns_archive keeps the final town ownership of past wars.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS wars (
+          warNumber INTEGER PRIMARY KEY,
+          firstSeenAt INTEGER NOT NULL,
+          conquestStartTime INTEGER,
+          conquestEndTime INTEGER,
+          resistanceStartTime INTEGER,
+          winner TEXT,
+          archivedAt INTEGER
+        );
+        CREATE TABLE IF NOT EXISTS towns_archive (
+          warNumber INTEGER NOT NULL,
+          id TEXT NOT NULL,
+          iconType TEXT NOT NULL,
+          x REAL NOT NULL,
+          y REAL NOT NULL,
+          region TEXT NOT NULL,
+          currentTeam TEXT NOT NULL,
+          lastTeam TEXT,
+          lastChange INTEGER NOT NULL,
+          notes TEXT,
+          archivedAt INTEGER NOT NULL,
+          PRIMARY KEY (warNumber, id)
+        );
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: "baseline_towns",
+    up(db) {
+      // Towns first seen mid-war have no known capture time; their
+      // lastChange is only an upper bound until a real flip is observed
+      addColumnIfMissing(db, "towns", "baseline", "INTEGER NOT NULL DEFAULT 0");
+      addColumnIfMissing(
+        db,
+        "towns_archive",
+        "baseline",
+        "INTEGER NOT NULL DEFAULT 0",
+      );
+    },
+  },
+  {
+    version: 6,
+    name: "retention_rollups",
+    up(db) {
+      // Timestamps are epoch milliseconds throughout. created_at/updated_at
+      // defaulted to seconds while the code wrote milliseconds; move the
+      // second values over (anything below 1e11 can't be a millisecond date)
+      db.exec(`
+        UPDATE towns SET created_at = created_at * 1000 WHERE created_at < 100000000000;
+        UPDATE towns SET updated_at = updated_at * 1000 WHERE updated_at < 100000000000;
+      `);
+
+      // Hourly and daily aggregates that outlive the detail rows.
+      // war_report_rollups holds the last counters seen in each period;
+      // capture_rollups counts captures per hex and new owner.
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS war_report_rollups (
+          period TEXT NOT NULL,
+          periodStart INTEGER NOT NULL,
+          region TEXT NOT NULL,
+          warNumber INTEGER,
+          samples INTEGER NOT NULL,
+          totalEnlistments INTEGER NOT NULL,
+          colonialCasualties INTEGER NOT NULL,
+          wardenCasualties INTEGER NOT NULL,
+          PRIMARY KEY (period, periodStart, region)
+        );
+        CREATE TABLE IF NOT EXISTS capture_rollups (
+          period TEXT NOT NULL,
+          periodStart INTEGER NOT NULL,
+          region TEXT NOT NULL,
+          toTeam TEXT NOT NULL,
+          warNumber INTEGER,
+          captures INTEGER NOT NULL,
+          PRIMARY KEY (period, periodStart, region, toTeam)
+        );
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: "rollups_by_war",
+    up(db) {
+      // A period spanning a war rollover holds rows from both wars, so the
+      // war number joins the rollup keys. It is null for rows recorded
+      // before wars were tracked, which a primary key would treat as all
+      // distinct; unique indexes on IFNULL(warNumber, -1) keep them one key.
+      db.exec(`
+        CREATE TABLE war_report_rollups_by_war (
+          period TEXT NOT NULL,
+          periodStart INTEGER NOT NULL,
+          region TEXT NOT NULL,
+          warNumber INTEGER,
+          samples INTEGER NOT NULL,
+          totalEnlistments INTEGER NOT NULL,
+          colonialCasualties INTEGER NOT NULL,
+          wardenCasualties INTEGER NOT NULL
+        );
+        INSERT INTO war_report_rollups_by_war
+          SELECT period, periodStart, region, warNumber, samples,
+            totalEnlistments, colonialCasualties, wardenCasualties
+          FROM war_report_rollups;
+        DROP TABLE war_report_rollups;
+        ALTER TABLE war_report_rollups_by_war RENAME TO war_report_rollups;
+        CREATE UNIQUE INDEX war_report_rollups_key
+          ON war_report_rollups (period, periodStart, region, IFNULL(warNumber, -1));
+
+        CREATE TABLE capture_rollups_by_war (
+          period TEXT NOT NULL,
+          periodStart INTEGER NOT NULL,
+          region TEXT NOT NULL,
+          toTeam TEXT NOT NULL,
+          warNumber INTEGER,
+          captures INTEGER NOT NULL
+        );
+        INSERT INTO capture_rollups_by_war
+          SELECT period, periodStart, region, toTeam, warNumber, captures
+          FROM capture_rollups;
+        DROP TABLE capture_rollups;
+        ALTER TABLE capture_rollups_by_war RENAME TO capture_rollups;
+        CREATE UNIQUE INDEX capture_rollups_key
+          ON capture_rollups (period, periodStart, region, toTeam, IFNULL(warNumber, -1));
+      `);
+    },
+  },
+];
+
+// Newest schema this code understands
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function getSchemaVersion(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt INTEGER NOT NULL
+    )
+  `);
+
+  return db.prepare(`SELECT MAX(version) AS version FROM schema_version`).get()
+    .version ?? 0;
+}
+
+// Where to back up a database: next to it, `label` inserted before the
+// .db extension, or appended when the path has none, so the backup can
+// never land on the live file
+export function backupPathFor(dbPath, label) {
+  return /\.db$/.test(dbPath)
+    ? dbPath.replace(/\.db$/, `.${label}.db`)
+    : `${dbPath}.${label}`;
+}
+
+// Copy the database aside before migrating it. VACUUM INTO writes a
+// consistent snapshot even while other connections are open.
+function backupBeforeMigration(db, dbPath, fromVersion) {
+  const hasTables = db
+    .prepare(
+      `SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name != 'schema_version'`,
+    )
+    .get().count;
+  if (!hasTables || dbPath === ":memory:") return null;
+
+  const timestamp = new Date().toISOString().replace(/[-:.]/g, "").slice(0, 15);
+  const backupPath = backupPathFor(dbPath, `backup-v${fromVersion}-${timestamp}`);
+  db.prepare(`VACUUM INTO ?`).run(backupPath);
+  return backupPath;
+}
+
+// Bring the database up to SCHEMA_VERSION. Throws if the database was
+// written by newer code, so we never run against a schema we don't know.
+export function migrate(db, dbPath) {
+  const currentVersion = getSchemaVersion(db);
+
+  if (currentVersion > SCHEMA_VERSION) {
+    throw new Error(
+      `Database ${dbPath} has schema v${currentVersion}, but this version only understands up to v${SCHEMA_VERSION}. Refusing to start; upgrade the app or restore a backup.`,
+    );
+  }
+
+  const pending = MIGRATIONS.filter((m) => m.version > currentVersion);
+  if (pending.length === 0) return currentVersion;
+
+  const backupPath = backupBeforeMigration(db, dbPath, currentVersion);
+  if (backupPath) {
+    logger.info(`Backed up ${dbPath} to ${backupPath} before migrating`);
+  }
+
+  const record = db.prepare(
+    `INSERT INTO schema_version (version, name, appliedAt) VALUES (?, ?, ?)`,
+  );
+  for (const migration of pending) {
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name, Date.now());
+    })();
+    logger.info(
+      `Applied database migration ${migration.version} (${migration.name})`,
+    );
+  }
+
+  return SCHEMA_VERSION;
+}
@@ -0,0 +1,99 @@
+import logger from "./logger.js";
+
+// Poll cadences from the environment, in seconds there and milliseconds
+// here. The updater picks one per cycle from what recent cycles saw.
+export function getPollCadence() {
+  const seconds = (name, fallback) =>
+    parseFloat(process.env[name] || fallback) * 1000;
+
+  return {
+    normal: seconds("POLL_INTERVAL", "300"),
+    active: seconds("POLL_INTERVAL_ACTIVE", "60"),
+    quiet: seconds("POLL_INTERVAL_QUIET", "600"),
+    resistance: seconds("POLL_INTERVAL_RESISTANCE", "900"),
+    warOver: seconds("POLL_INTERVAL_WAR_OVER", "1800"),
+    // Cycles that count as recent when looking for captures, and how many
+    // cycles without any before the map is considered quiet
+    activeCycles: parseInt(process.env.POLL_ACTIVE_CYCLES || "3"),
+    quietCycles: parseInt(process.env.POLL_QUIET_CYCLES || "6"),
+    // Each delay is spread by up to this fraction either way
+    jitter: parseFloat(process.env.POLL_JITTER || "0.1"),
+  };
+}
+
+// Runs a task on a setTimeout chain: the next run is only scheduled once
+// the current one has finished, so runs never overlap. `nextDelay()`
+// returns { interval, reason } and is asked again after every run.
+class PollScheduler {
+  constructor(name, task, nextDelay, { jitter = 0 } = {}) {
+    this.name = name;
+    this.task = task;
+    this.nextDelay = nextDelay;
+    this.jitter = jitter;
+    this.isRunning = false;
+    this.timeoutId = null;
+    this.nextRunAt = null;
+    this.reason = null;
+    this.lastRunStartedAt = null;
+    this.lastRunDuration = null;
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn(`${this.name} scheduler is already running`);
+      return;
+    }
+
+    this.isRunning = true;
+    await this.runAndReschedule();
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+    this.nextRunAt = null;
+  }
+
+  async runAndReschedule() {
+    this.timeoutId = null;
+    this.nextRunAt = null;
+    this.lastRunStartedAt = Date.now();
+    try {
+      await this.task();
+    } catch (error) {
+      logger.error(`${this.name} run failed:`, error);
+    }
+    this.lastRunDuration = Date.now() - this.lastRunStartedAt;
+
+    // Stopped while the task was running
+    if (!this.isRunning) return;
+
+    const { interval, reason } = this.nextDelay();
+    const spread = interval * this.jitter * (Math.random() * 2 - 1);
+    const delay = Math.max(1000, Math.round(interval + spread));
+
+    this.reason = reason;
+    this.nextRunAt = Date.now() + delay;
+    this.timeoutId = setTimeout(() => this.runAndReschedule(), delay);
+    logger.debug(
+      `${this.name}: next run in ${Math.round(delay / 1000)}s (${reason})`,
+    );
+  }
+
+  getStatus() {
+    return {
+      running: this.isRunning,
+      nextRunAt: this.nextRunAt ? new Date(this.nextRunAt).toISOString() : null,
+      reason: this.reason,
+      lastRunStartedAt: this.lastRunStartedAt
+        ? new Date(this.lastRunStartedAt).toISOString()
+        : null,
+      lastRunDurationMs: this.lastRunDuration,
+    };
+  }
+}
+
+export default PollScheduler;
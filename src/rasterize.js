@@ -0,0 +1,807 @@
+#!/usr/bin/env node
+
+// Built-in rasteriser for the dashboard SVG, so the bitmap that reaches an
+// e-paper panel doesn't depend on a browser's handling of #RRGGBBAA fills
+// and pattern fills.
+//
+// It understands the subset of SVG the generator writes: svg, g, defs,
+// pattern, style (class rules), rect, circle, line, polygon, polyline,
+// path (straight segments only: M, L, H, V, Z) and text, with translate,
+// rotate, scale and matrix transforms. Shapes are filled by scanline
+// without anti-aliasing, text uses a 5x7 bitmap font scaled by whole
+// pixels, and the grayscale result is dithered to 1, 2 or 4 bits.
+//
+// Usage:
+//   node src/rasterize.js <file.svg> [--out file.png|file.bmp] [--bits 1|2|4]
+//                         [--dither threshold|bayer|floyd-steinberg] [--profile trmnl]
+
+import fs from "fs/promises";
+import logger from "./logger.js";
+import { DITHER_METHODS, dither } from "./dither.js";
+import { BIT_DEPTHS, encodeBmp, encodePng } from "./image-encoders.js";
+import {
+  GLYPH_ADVANCE,
+  GLYPH_HEIGHT,
+  bitmapTextWidth,
+  getGlyph,
+  glyphUnit,
+} from "./bitmap-font.js";
+import { getDisplayProfile } from "./display-profiles.js";
+
+export const RASTER_FORMATS = ["png", "bmp"];
+
+// Bits per pixel and dither method for a display profile. The bit depth
+// follows TERMINUS_BIT_DEPTH when set, else the profile's; Terminus's 8
+// gray levels (3) become 4 bits. One bit defaults to ordered dithering,
+// which keeps flat region fills as a steady texture between renders; with
+// more gray levels error diffusion is fine-grained enough to look smooth.
+// Passing a `depth` uses that instead, rounded up the same way.
+export function getRasterDefaults(profile = getDisplayProfile(), depth = null) {
+  // Panel depths the encoders don't write (3 bits) round up
+  const wanted = depth ?? parseInt(process.env.TERMINUS_BIT_DEPTH || profile.bitDepth);
+  const bits = BIT_DEPTHS.find((candidate) => candidate >= wanted) ?? 4;
+  return {
+    bits,
+    dither: process.env.RASTER_DITHER || (bits === 1 ? "bayer" : "floyd-steinberg"),
+  };
+}
+
+// --- XML -------------------------------------------------------------------
+
+const TOKEN =
+  /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:-]+)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTE = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, entity) => {
+    const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+    if (entity[0] !== "#") return named[entity.toLowerCase()];
+    return String.fromCodePoint(
+      entity[1].toLowerCase() === "x"
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10),
+    );
+  });
+}
+
+// Element tree of { name, attrs, children }, text nodes being strings
+function parseXml(text) {
+  const root = { name: "#document", attrs: {}, children: [] };
+  const stack = [root];
+
+  for (const match of text.matchAll(TOKEN)) {
+    const [, cdata, closing, name, attrText, selfClosing, content] = match;
+    const parent = stack[stack.length - 1];
+
+    if (cdata != null) {
+      parent.children.push(cdata);
+    } else if (content != null) {
+      parent.children.push(decodeEntities(content));
+    } else if (name && closing) {
+      if (stack.length > 1) stack.pop();
+    } else if (name) {
+      const attrs = {};
+      for (const [, key, double, single] of (attrText || "").matchAll(ATTRIBUTE)) {
+        attrs[key] = decodeEntities(double ?? single);
+      }
+      const element = { name, attrs, children: [] };
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  const svg = root.children.find((child) => child.name === "svg");
+  if (!svg) throw new Error("Not an SVG document");
+  return svg;
+}
+
+// --- Styles and paints -----------------------------------------------------
+
+const INHERITED = [
+  "fill",
+  "fill-opacity",
+  "stroke",
+  "stroke-opacity",
+  "stroke-width",
+  "stroke-linecap",
+  "font-size",
+  "font-weight",
+  "text-anchor",
+];
+const STYLED = [...INHERITED, "opacity"];
+
+function parseDeclarations(text) {
+  const declarations = {};
+  for (const part of text.split(";")) {
+    const colon = part.indexOf(":");
+    if (colon === -1) continue;
+    declarations[part.slice(0, colon).trim()] = part.slice(colon + 1).trim();
+  }
+  return declarations;
+}
+
+// Class rules from <style> elements (".name { ... }" only)
+function collectClassRules(element, rules = {}) {
+  if (element.name === "style") {
+    const css = element.children
+      .filter((child) => typeof child === "string")
+      .join("")
+      .replace(/\/\*[\s\S]*?\*\//g, "");
+    for (const [, name, body] of css.matchAll(/\.([\w-]+)\s*\{([^}]*)\}/g)) {
+      rules[name] = { ...rules[name], ...parseDeclarations(body) };
+    }
+  }
+  for (const child of element.children) {
+    if (typeof child !== "string") collectClassRules(child, rules);
+  }
+  return rules;
+}
+
+function collectPatterns(element, patterns = {}) {
+  if (element.name === "pattern" && element.attrs.id) {
+    patterns[element.attrs.id] = element;
+  }
+  for (const child of element.children) {
+    if (typeof child !== "string") collectPatterns(child, patterns);
+  }
+  return patterns;
+}
+
+// Presentation attributes, then class rules, then the style attribute
+function computeStyle(element, inherited, classRules) {
+  const style = {};
+  for (const name of INHERITED) {
+    if (inherited[name] != null) style[name] = inherited[name];
+  }
+  style.opacity = inherited.opacity ?? 1;
+
+  const own = {};
+  for (const name of STYLED) {
+    if (element.attrs[name] != null) own[name] = element.attrs[name];
+  }
+  for (const name of (element.attrs.class || "").split(/\s+/).filter(Boolean)) {
+    Object.assign(own, classRules[name]);
+  }
+  Object.assign(own, parseDeclarations(element.attrs.style || ""));
+
+  for (const [name, value] of Object.entries(own)) {
+    if (name === "opacity") {
+      // Approximates group opacity by fading each shape
+      style.opacity *= parseFloat(value);
+    } else if (STYLED.includes(name)) {
+      style[name] = value;
+    }
+  }
+  return style;
+}
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+};
+
+// { gray, alpha } for a CSS color, gray being luminance from 0 to 1
+function parseColor(value) {
+  let rgb;
+  let alpha = 1;
+  const hex = value.match(/^#([0-9a-f]+)$/i);
+  const functional = value.match(/^rgba?\(([^)]*)\)$/i);
+
+  if (hex && [3, 4].includes(hex[1].length)) {
+    const digits = [...hex[1]].map((digit) => parseInt(digit + digit, 16));
+    rgb = digits.slice(0, 3);
+    if (digits.length === 4) alpha = digits[3] / 255;
+  } else if (hex && [6, 8].includes(hex[1].length)) {
+    const digits = hex[1].match(/../g).map((pair) => parseInt(pair, 16));
+    rgb = digits.slice(0, 3);
+    if (digits.length === 4) alpha = digits[3] / 255;
+  } else if (functional) {
+    const parts = functional[1].split(",").map((part) => parseFloat(part));
+    rgb = parts.slice(0, 3);
+    if (parts.length === 4) alpha = parts[3];
+  } else if (value.toLowerCase() in NAMED_COLORS) {
+    rgb = NAMED_COLORS[value.toLowerCase()];
+  } else {
+    logger.debug(`Rasteriser: unsupported color "${value}", using black`);
+    rgb = [0, 0, 0];
+  }
+
+  const [r, g, b] = rgb;
+  return { gray: (0.299 * r + 0.587 * g + 0.114 * b) / 255, alpha };
+}
+
+// --- Geometry ----------------------------------------------------------------
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// m1 x m2: apply m2 first
+function multiply([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1,
+  ];
+}
+
+function invert([a, b, c, d, e, f]) {
+  const det = a * d - b * c;
+  return [
+    d / det,
+    -b / det,
+    -c / det,
+    a / det,
+    (c * f - d * e) / det,
+    (b * e - a * f) / det,
+  ];
+}
+
+const apply = ([a, b, c, d, e, f], [x, y]) => [a * x + c * y + e, b * x + d * y + f];
+
+function parseTransform(text = "") {
+  let matrix = IDENTITY;
+  for (const [, name, argText] of text.matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+    const args = argText.trim().split(/[\s,]+/).map(parseFloat);
+    let step = IDENTITY;
+    switch (name) {
+      case "translate":
+        step = [1, 0, 0, 1, args[0], args[1] || 0];
+        break;
+      case "scale":
+        step = [args[0], 0, 0, args[1] ?? args[0], 0, 0];
+        break;
+      case "rotate": {
+        const angle = (args[0] * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        step = [cos, sin, -sin, cos, 0, 0];
+        if (args.length === 3) {
+          step = multiply(
+            multiply([1, 0, 0, 1, args[1], args[2]], step),
+            [1, 0, 0, 1, -args[1], -args[2]],
+          );
+        }
+        break;
+      }
+      case "matrix":
+        step = args.slice(0, 6);
+        break;
+      default:
+        logger.debug(`Rasteriser: unsupported transform "${name}"`);
+    }
+    matrix = multiply(matrix, step);
+  }
+  return matrix;
+}
+
+// How many device pixels one user unit covers
+const scaleOf = ([a, b, c, d]) => Math.sqrt(Math.abs(a * d - b * c));
+
+const number = (value, fallback = 0) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+function parsePoints(text = "") {
+  const values = text.trim().split(/[\s,]+/).map(parseFloat);
+  const points = [];
+  for (let i = 0; i + 1 < values.length; i += 2) {
+    points.push([values[i], values[i + 1]]);
+  }
+  return points;
+}
+
+// Subpaths of path data made of straight lines, as { points, closed }
+function parsePath(text = "") {
+  const subpaths = [];
+  let current = null;
+  let [x, y] = [0, 0];
+  let [startX, startY] = [0, 0];
+
+  for (const [, command, args] of text.matchAll(/([MLHVZmlhvz])([^MLHVZmlhvz]*)/g)) {
+    const values = args.trim() ? args.trim().split(/[\s,]+/).map(parseFloat) : [];
+    const relative = command === command.toLowerCase();
+    switch (command.toUpperCase()) {
+      case "M":
+        for (let i = 0; i + 1 < values.length; i += 2) {
+          x = (relative ? x : 0) + values[i];
+          y = (relative ? y : 0) + values[i + 1];
+          // Further pairs after a moveto are linetos
+          if (i === 0) {
+            current = { points: [[x, y]], closed: false };
+            subpaths.push(current);
+            [startX, startY] = [x, y];
+          } else {
+            current.points.push([x, y]);
+          }
+        }
+        break;
+      case "L":
+        for (let i = 0; i + 1 < values.length; i += 2) {
+          x = (relative ? x : 0) + values[i];
+          y = (relative ? y : 0) + values[i + 1];
+          current?.points.push([x, y]);
+        }
+        break;
+      case "H":
+        for (const value of values) {
+          x = (relative ? x : 0) + value;
+          current?.points.push([x, y]);
+        }
+        break;
+      case "V":
+        for (const value of values) {
+          y = (relative ? y : 0) + value;
+          current?.points.push([x, y]);
+        }
+        break;
+      case "Z":
+        if (current) current.closed = true;
+        [x, y] = [startX, startY];
+        break;
+    }
+  }
+  return subpaths;
+}
+
+// Positive (counter-clockwise in y-down space) area rings, so unions of
+// strokes and glyph runs can't cancel each other out under nonzero winding
+function orient(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [x0, y0] = ring[i];
+    const [x1, y1] = ring[(i + 1) % ring.length];
+    area += x0 * y1 - x1 * y0;
+  }
+  return area < 0 ? [...ring].reverse() : ring;
+}
+
+// Outline of a stroked path as one quad per segment. Closed shapes, and
+// open ones with round or square caps, get square ends so corners have no
+// notches.
+function strokeRings(points, width, closed, capped = closed) {
+  const half = width / 2;
+  const rings = [];
+  const count = closed ? points.length : points.length - 1;
+
+  for (let i = 0; i < count; i++) {
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[(i + 1) % points.length];
+    const length = Math.hypot(x1 - x0, y1 - y0);
+    if (length === 0) continue;
+
+    const dx = ((x1 - x0) / length) * half;
+    const dy = ((y1 - y0) / length) * half;
+    const cap = capped ? 1 : 0;
+    const sx = x0 - dx * cap;
+    const sy = y0 - dy * cap;
+    const ex = x1 + dx * cap;
+    const ey = y1 + dy * cap;
+    rings.push(
+      orient([
+        [sx - dy, sy + dx],
+        [ex - dy, ey + dx],
+        [ex + dy, ey - dx],
+        [sx + dy, sy - dx],
+      ]),
+    );
+  }
+  return rings;
+}
+
+// --- Canvas ------------------------------------------------------------------
+
+// Grayscale image with coverage; starts transparent
+class GrayCanvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.gray = new Float32Array(width * height);
+    this.alpha = new Float32Array(width * height);
+  }
+
+  // Composite source-over at pixel i
+  blend(i, gray, alpha) {
+    if (alpha <= 0) return;
+    const below = this.alpha[i] * (1 - alpha);
+    const total = alpha + below;
+    this.gray[i] = (gray * alpha + this.gray[i] * below) / total;
+    this.alpha[i] = total;
+  }
+
+  // Fill device-space rings with nonzero winding. `paint(x, y)` returns
+  // { gray, alpha } for a pixel.
+  fill(rings, paint) {
+    const edges = [];
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const ring of rings) {
+      for (let i = 0; i < ring.length; i++) {
+        const [x0, y0] = ring[i];
+        const [x1, y1] = ring[(i + 1) % ring.length];
+        if (y0 === y1) continue;
+        edges.push(
+          y0 < y1 ? { x0, y0, x1, y1, dir: 1 } : { x0: x1, y0: y1, x1: x0, y1: y0, dir: -1 },
+        );
+        minY = Math.min(minY, y0, y1);
+        maxY = Math.max(maxY, y0, y1);
+      }
+    }
+    if (edges.length === 0) return;
+
+    const firstRow = Math.max(0, Math.ceil(minY - 0.5));
+    const lastRow = Math.min(this.height - 1, Math.floor(maxY - 0.5));
+    const crossings = [];
+
+    for (let y = firstRow; y <= lastRow; y++) {
+      const center = y + 0.5;
+      crossings.length = 0;
+      for (const edge of edges) {
+        if (center < edge.y0 || center >= edge.y1) continue;
+        const t = (center - edge.y0) / (edge.y1 - edge.y0);
+        crossings.push({ x: edge.x0 + t * (edge.x1 - edge.x0), dir: edge.dir });
+      }
+      crossings.sort((a, b) => a.x - b.x);
+
+      let winding = 0;
+      for (let k = 0; k < crossings.length - 1; k++) {
+        winding += crossings[k].dir;
+        if (winding === 0) continue;
+
+        const start = Math.max(0, Math.ceil(crossings[k].x - 0.5));
+        const end = Math.min(this.width, Math.ceil(crossings[k + 1].x - 0.5));
+        for (let x = start; x < end; x++) {
+          const { gray, alpha } = paint(x, y);
+          this.blend(y * this.width + x, gray, alpha);
+        }
+      }
+    }
+  }
+}
+
+// --- Renderer ----------------------------------------------------------------
+
+class SvgRasterizer {
+  constructor(svg) {
+    this.root = parseXml(svg);
+    this.classRules = collectClassRules(this.root);
+    this.patterns = collectPatterns(this.root);
+    this.tiles = new Map();
+
+    const viewBox = (this.root.attrs.viewBox || "").split(/[\s,]+/).map(parseFloat);
+    this.width = Math.round(number(this.root.attrs.width, viewBox[2]));
+    this.height = Math.round(number(this.root.attrs.height, viewBox[3]));
+    if (!(this.width > 0 && this.height > 0)) {
+      throw new Error("SVG has no usable width and height");
+    }
+  }
+
+  render() {
+    const canvas = new GrayCanvas(this.width, this.height);
+    this.renderElement(this.root, canvas, IDENTITY, {}, true);
+
+    // Flatten onto white
+    const gray = new Float32Array(this.width * this.height);
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = canvas.gray[i] * canvas.alpha[i] + (1 - canvas.alpha[i]);
+    }
+    return { width: this.width, height: this.height, gray };
+  }
+
+  // Nested <svg> viewports map their viewBox onto x/y/width/height
+  viewportTransform(element, isRoot) {
+    const { attrs } = element;
+    const [vx, vy, vw, vh] = (attrs.viewBox || "").split(/[\s,]+/).map(parseFloat);
+    const width = number(attrs.width, vw || this.width);
+    const height = number(attrs.height, vh || this.height);
+    let matrix = isRoot ? IDENTITY : [1, 0, 0, 1, number(attrs.x), number(attrs.y)];
+    if (vw > 0 && vh > 0) {
+      matrix = multiply(matrix, [width / vw, 0, 0, height / vh, -vx * (width / vw), -vy * (height / vh)]);
+    }
+    return matrix;
+  }
+
+  renderElement(element, canvas, ctm, inherited, isRoot = false) {
+    if (typeof element === "string") return;
+    if (["defs", "pattern", "style", "title", "desc"].includes(element.name)) return;
+
+    let matrix = multiply(ctm, parseTransform(element.attrs.transform));
+    if (element.name === "svg") {
+      matrix = multiply(matrix, this.viewportTransform(element, isRoot));
+    }
+    const style = computeStyle(element, inherited, this.classRules);
+    const { attrs } = element;
+
+    switch (element.name) {
+      case "svg":
+      case "g":
+        for (const child of element.children) {
+          this.renderElement(child, canvas, matrix, style);
+        }
+        return;
+      case "rect": {
+        const x = number(attrs.x);
+        const y = number(attrs.y);
+        const w = number(attrs.width);
+        const h = number(attrs.height);
+        if (w <= 0 || h <= 0) return;
+        this.drawShape(canvas, matrix, style, [
+          { points: [[x, y], [x + w, y], [x + w, y + h], [x, y + h]], closed: true },
+        ]);
+        return;
+      }
+      case "circle": {
+        const cx = number(attrs.cx);
+        const cy = number(attrs.cy);
+        const r = number(attrs.r);
+        if (r <= 0) return;
+        const steps = Math.max(12, Math.ceil(Math.PI * r * scaleOf(matrix)));
+        const points = Array.from({ length: steps }, (_, i) => {
+          const angle = (i / steps) * 2 * Math.PI;
+          return [cx + r * Math.cos(angle), cy + r * Math.sin(angle)];
+        });
+        this.drawShape(canvas, matrix, style, [{ points, closed: true }]);
+        return;
+      }
+      case "polygon":
+      case "polyline":
+        this.drawShape(canvas, matrix, style, [
+          { points: parsePoints(attrs.points), closed: element.name === "polygon" },
+        ]);
+        return;
+      case "path":
+        this.drawShape(canvas, matrix, style, parsePath(attrs.d));
+        return;
+      case "line":
+        this.drawShape(
+          canvas,
+          matrix,
+          { ...style, fill: "none" },
+          [
+            {
+              points: [[number(attrs.x1), number(attrs.y1)], [number(attrs.x2), number(attrs.y2)]],
+              closed: false,
+            },
+          ],
+        );
+        return;
+      case "text":
+        this.drawText(canvas, matrix, style, element);
+        return;
+      default:
+        logger.debug(`Rasteriser: skipping unsupported <${element.name}>`);
+    }
+  }
+
+  // Paint function for a fill or stroke value, or null for none
+  resolvePaint(value, opacity, matrix) {
+    if (!value || value === "none" || value === "transparent") return null;
+
+    const reference = value.match(/^url\(#([^)]+)\)/);
+    if (reference) {
+      const pattern = this.patterns[reference[1]];
+      if (!pattern) return null;
+      return this.patternPaint(pattern, opacity, matrix);
+    }
+
+    const { gray, alpha } = parseColor(value);
+    const color = { gray, alpha: alpha * opacity };
+    return () => color;
+  }
+
+  // Tile the pattern (userSpaceOnUse) in the shape's user space
+  patternPaint(pattern, opacity, matrix) {
+    const width = number(pattern.attrs.width);
+    const height = number(pattern.attrs.height);
+    if (width <= 0 || height <= 0) return null;
+
+    const resolution = Math.max(1, Math.round(scaleOf(matrix)));
+    const key = `${pattern.attrs.id}@${resolution}`;
+    if (!this.tiles.has(key)) {
+      const tile = new GrayCanvas(
+        Math.ceil(width * resolution),
+        Math.ceil(height * resolution),
+      );
+      const tileMatrix = [resolution, 0, 0, resolution, 0, 0];
+      for (const child of pattern.children) {
+        this.renderElement(child, tile, tileMatrix, {});
+      }
+      this.tiles.set(key, tile);
+    }
+    const tile = this.tiles.get(key);
+
+    const inverse = invert(matrix);
+    const originX = number(pattern.attrs.x);
+    const originY = number(pattern.attrs.y);
+    const wrap = (value, size) => ((value % size) + size) % size;
+    const result = { gray: 0, alpha: 0 };
+    return (x, y) => {
+      const [ux, uy] = apply(inverse, [x + 0.5, y + 0.5]);
+      const tx = Math.min(tile.width - 1, Math.floor(wrap(ux - originX, width) * resolution));
+      const ty = Math.min(tile.height - 1, Math.floor(wrap(uy - originY, height) * resolution));
+      const i = ty * tile.width + tx;
+      result.gray = tile.gray[i];
+      result.alpha = tile.alpha[i] * opacity;
+      return result;
+    };
+  }
+
+  // Fills all subpaths ({ points, closed }) as one shape, so later rings
+  // can cut holes into earlier ones, then strokes each
+  drawShape(canvas, matrix, style, subpaths) {
+    const drawable = subpaths.filter(({ points }) => points.length >= 2);
+    if (drawable.length === 0) return;
+    const toDevice = (ring) => ring.map((point) => apply(matrix, point));
+    const opacity = style.opacity ?? 1;
+
+    const fill = this.resolvePaint(
+      style.fill ?? "black",
+      opacity * number(style["fill-opacity"], 1),
+      matrix,
+    );
+    const rings = drawable.filter(({ points }) => points.length >= 3);
+    if (fill && rings.length > 0) {
+      canvas.fill(rings.map(({ points }) => toDevice(points)), fill);
+    }
+
+    const stroke = this.resolvePaint(
+      style.stroke,
+      opacity * number(style["stroke-opacity"], 1),
+      matrix,
+    );
+    const strokeWidth = number(style["stroke-width"], 1);
+    const capped = ["round", "square"].includes(style["stroke-linecap"]);
+    if (stroke && strokeWidth > 0) {
+      canvas.fill(
+        drawable
+          .flatMap(({ points, closed }) => strokeRings(points, strokeWidth, closed, closed || capped))
+          .map(toDevice),
+        stroke,
+      );
+    }
+  }
+
+  // Bitmap font text: each glyph pixel is a `unit` square in user space
+  // (see glyphUnit). Bold text is struck twice, one unit apart.
+  drawText(canvas, matrix, style, element) {
+    const collect = (node) =>
+      typeof node === "string" ? node : node.children.map(collect).join("");
+    const content = collect(element).replace(/\s+/g, " ").trim();
+    if (!content) return;
+
+    const paint = this.resolvePaint(
+      style.fill ?? "black",
+      (style.opacity ?? 1) * number(style["fill-opacity"], 1),
+      matrix,
+    );
+    if (!paint) return;
+
+    const fontSize = number(style["font-size"], 16);
+    const unit = glyphUnit(fontSize);
+    const weight = style["font-weight"] || "normal";
+    const bold = weight === "bold" || parseInt(weight) >= 600;
+    const advance = (GLYPH_ADVANCE + (bold ? 1 : 0)) * unit;
+    const chars = [...content];
+    const width = bitmapTextWidth(content, fontSize, bold);
+
+    let x = number(element.attrs.x);
+    const anchor = style["text-anchor"];
+    if (anchor === "middle") x -= width / 2;
+    else if (anchor === "end") x -= width;
+    const top = number(element.attrs.y) - GLYPH_HEIGHT * unit;
+
+    const rings = [];
+    chars.forEach((char, index) => {
+      const columns = getGlyph(char);
+      const left = x + index * advance;
+      for (let row = 0; row < GLYPH_HEIGHT; row++) {
+        let runStart = null;
+        for (let column = 0; column <= columns.length; column++) {
+          const on = column < columns.length && columns[column] & (1 << row);
+          if (on && runStart == null) runStart = column;
+          if (!on && runStart != null) {
+            const x0 = left + runStart * unit;
+            const x1 = left + (column + (bold ? 1 : 0)) * unit;
+            const y0 = top + row * unit;
+            rings.push([[x0, y0], [x1, y0], [x1, y0 + unit], [x0, y0 + unit]]);
+            runStart = null;
+          }
+        }
+      }
+    });
+
+    canvas.fill(
+      rings.map((ring) => ring.map((point) => apply(matrix, point))).map(orient),
+      paint,
+    );
+  }
+}
+
+// Grayscale rendering of an SVG: { width, height, gray }, 0 black to 1 white
+export function rasterizeSvg(svg) {
+  return new SvgRasterizer(svg).render();
+}
+
+// SVG to a dithered PNG or BMP
+export function renderBitmap(svg, { format = "png", bits = 1, dither: method = "bayer" } = {}) {
+  if (!RASTER_FORMATS.includes(format)) {
+    throw new Error(`Unknown image format: ${format} (known: ${RASTER_FORMATS.join(", ")})`);
+  }
+  if (!BIT_DEPTHS.includes(bits)) {
+    throw new Error(`Unsupported bit depth: ${bits} (supported: ${BIT_DEPTHS.join(", ")})`);
+  }
+  if (!DITHER_METHODS.includes(method)) {
+    throw new Error(`Unknown dither method: ${method} (known: ${DITHER_METHODS.join(", ")})`);
+  }
+
+  const { width, height, gray } = rasterizeSvg(svg);
+  const levels = dither(gray, width, height, { bits, method });
+  return format === "bmp"
+    ? encodeBmp(levels, width, height, bits)
+    : encodePng(levels, width, height, bits);
+}
+
+function parseArgs(argv) {
+  const args = { file: null, out: null, bits: null, dither: null, profile: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--out":
+        args.out = argv[++i];
+        break;
+      case "--bits":
+        args.bits = parseInt(argv[++i]);
+        break;
+      case "--dither":
+        args.dither = argv[++i];
+        break;
+      case "--profile":
+        args.profile = argv[++i];
+        break;
+      default:
+        if (argv[i].startsWith("--") || args.file) {
+          throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+        args.file = argv[i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    throw new Error(
+      "Usage: rasterize.js <file.svg> [--out file.png|file.bmp] [--bits 1|2|4] [--dither method] [--profile name]",
+    );
+  }
+
+  const defaults = getRasterDefaults(getDisplayProfile(args.profile), args.bits);
+  const out = args.out || args.file.replace(/\.svg$/i, "") + ".png";
+  const format = out.toLowerCase().endsWith(".bmp") ? "bmp" : "png";
+  const options = {
+    format,
+    bits: defaults.bits,
+    dither: args.dither ?? defaults.dither,
+  };
+
+  const svg = await fs.readFile(args.file, "utf8");
+  await fs.writeFile(out, renderBitmap(svg, options));
+  logger.info(
+    `Rasterised ${args.file} to ${out} (${options.bits}-bit, ${options.dither})`,
+  );
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch((error) => {
+    logger.error("✗ Rasterisation failed:", error.message);
+    process.exit(1);
+  });
+}
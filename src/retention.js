@@ -0,0 +1,96 @@
+import logger from "./logger.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Retention policy from the environment. Ages are configured in days and
+// returned in milliseconds, like the timestamps they are compared against;
+// 0 keeps that data forever.
+export function getRetentionPolicy() {
+  const days = (name, fallback) => {
+    const value = parseFloat(process.env[name] ?? fallback);
+    return value > 0 ? value * DAY : null;
+  };
+
+  return {
+    warReportMaxAge: days("RETENTION_WAR_REPORT_DAYS", "30"),
+    captureEventMaxAge: days("RETENTION_CAPTURE_EVENT_DAYS", "0"),
+    hourlyRollupMaxAge: days("RETENTION_HOURLY_ROLLUP_DAYS", "365"),
+  };
+}
+
+// Periodically rolls up and prunes the history of every tracked shard
+class RetentionJob {
+  constructor(trackers, policy = getRetentionPolicy()) {
+    this.trackers = trackers; // Map of shard id -> TownTracker
+    this.policy = policy;
+    this.isRunning = false;
+    this.runInterval =
+      parseInt(process.env.RETENTION_INTERVAL || "3600") * 1000; // 1 hour
+    this.lastReports = new Map();
+  }
+
+  start() {
+    if (this.isRunning) {
+      logger.warn("Retention job is already running");
+      return;
+    }
+
+    this.isRunning = true;
+    this.run();
+
+    this.intervalId = setInterval(() => {
+      this.run();
+    }, this.runInterval);
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  run() {
+    for (const [shard, tracker] of this.trackers) {
+      try {
+        const report = tracker.runRetention(this.policy);
+        this.lastReports.set(shard, report);
+
+        const { pruned } = report;
+        if (pruned.warReports || pruned.captureEvents || pruned.hourlyRollups) {
+          logger.info(
+            `Retention (${shard}): pruned ${pruned.warReports} war reports, ${pruned.captureEvents} capture events, ${pruned.hourlyRollups} hourly rollups`,
+          );
+        } else {
+          logger.debug(`Retention (${shard}): nothing to prune`);
+        }
+      } catch (error) {
+        logger.error(`Retention job failed for ${shard}:`, error);
+      }
+    }
+  }
+
+  // Policy in days, plus the last report per shard
+  getStatus(shard) {
+    const inDays = (ms) => (ms == null ? null : ms / DAY);
+    const report = this.lastReports.get(shard) || null;
+
+    return {
+      policy: {
+        warReportDays: inDays(this.policy.warReportMaxAge),
+        captureEventDays: inDays(this.policy.captureEventMaxAge),
+        hourlyRollupDays: inDays(this.policy.hourlyRollupMaxAge),
+      },
+      intervalSeconds: this.runInterval / 1000,
+      lastRun: report ? new Date(report.ranAt).toISOString() : null,
+      lastReport: report,
+    };
+  }
+}
+
+export default RetentionJob;
@@ -1,27 +1,190 @@
 #!/usr/bin/env node
 
 import express from "express";
+import fs from "fs/promises";
+import { timingSafeEqual } from "crypto";
+import { tmpdir } from "os";
+import { join } from "path";
 import DataUpdater from "./data-updater.js";
 import FoxholeSVGGenerator from "./generate-svg.js";
+import RetentionJob from "./retention.js";
+import { createTracker } from "./storage.js";
+import {
+  backupDatabase,
+  exportDump,
+  exportNdjsonLines,
+  importDump,
+  parseDump,
+} from "./db-admin.js";
+import { SHARDS, getConfiguredShards } from "./shards.js";
+import {
+  DEFAULT_PROFILE,
+  DISPLAY_PROFILES,
+  getDisplayProfile,
+  getTerminusProfiles,
+} from "./display-profiles.js";
+import { logWarEvents, onWarEvents } from "./war-events.js";
+import { DEFAULT_THEME, THEMES, getTheme } from "./themes.js";
+import { getRasterDefaults } from "./rasterize.js";
+import { DITHER_METHODS } from "./dither.js";
+import { BIT_DEPTHS } from "./image-encoders.js";
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Start the tracking service
-const dataUpdater = new DataUpdater();
+// One tracking service per configured shard; the first is the default.
+// Each shard's tracker is opened once here and shared by its updater,
+// generators, Terminus poster and the retention job.
+const shards = getConfiguredShards();
+const trackers = new Map(shards.map((shard) => [shard, createTracker(shard)]));
+const dataUpdaters = new Map(
+  shards.map((shard) => [
+    shard,
+    new DataUpdater(shard, { tracker: trackers.get(shard) }),
+  ]),
+);
 
-// Start tracking service in background
-dataUpdater.start().catch((error) => {
-  console.error("Failed to start tracking service:", error);
-});
+// Start tracking services in background, logging what they observe
+for (const [shard, dataUpdater] of dataUpdaters) {
+  logWarEvents(dataUpdater);
+  dataUpdater.start().catch((error) => {
+    console.error(`Failed to start tracking service for ${shard}:`, error);
+  });
+}
+
+// Rollups and pruning of old history for every shard
+const retentionJob = new RetentionJob(trackers);
+retentionJob.start();
+
+// Every Terminus poster started below, so shutdown can stop them
+const terminusPosters = [];
+
+// Resolve the ?shard= query parameter to its data updater. Sends a 400 and
+// returns null when the shard is unknown or not configured.
+function getDataUpdater(req, res) {
+  const shard = (req.query.shard || shards[0]).toString().toLowerCase();
+  const dataUpdater = dataUpdaters.get(shard);
+  if (!dataUpdater) {
+    res.status(400).json({
+      error: `Shard "${shard}" is not configured`,
+      shards,
+    });
+    return null;
+  }
+  return dataUpdater;
+}
+
+// Resolve the ?profile= query parameter to a display profile id, defaulting
+// to DISPLAY_PROFILE. Sends a 400 and returns null when it is unknown.
+function getProfileId(req, res) {
+  const profile = (req.query.profile || getDisplayProfile().id)
+    .toString()
+    .toLowerCase();
+  if (!(profile in DISPLAY_PROFILES)) {
+    res.status(400).json({
+      error: `Unknown display profile "${profile}"`,
+      profiles: Object.keys(DISPLAY_PROFILES),
+    });
+    return null;
+  }
+  return profile;
+}
+
+// Resolve the ?theme= query parameter, defaulting to DISPLAY_THEME. Sends
+// a 400 and returns null when it is unknown.
+function getThemeId(req, res) {
+  const theme = (req.query.theme || getTheme().id).toString().toLowerCase();
+  if (!(theme in THEMES)) {
+    res.status(400).json({
+      error: `Unknown theme "${theme}"`,
+      themes: Object.keys(THEMES),
+    });
+    return null;
+  }
+  return theme;
+}
+
+// Resolve the optional ?war= query parameter, null meaning every war. Sends
+// a 400 and returns undefined when it isn't a war number.
+function getWarNumber(req, res) {
+  if (req.query.war == null) return null;
+  const war = req.query.war.toString();
+  if (!/^\d+$/.test(war)) {
+    res.status(400).json({ error: `Invalid war number "${war}"` });
+    return undefined;
+  }
+  return parseInt(war);
+}
+
+// Non-negative integer query parameter `name`: null when absent; sends a 400
+// and returns undefined when it isn't a number
+function getQueryInteger(req, res, name) {
+  if (req.query[name] == null) return null;
+  const value = req.query[name].toString();
+  if (!/^\d+$/.test(value)) {
+    res.status(400).json({ error: `Invalid ${name} "${value}"` });
+    return undefined;
+  }
+  return parseInt(value);
+}
+
+// Bits per pixel and dither method from ?bits= and ?dither=, defaulting to
+// the display profile's. Sends a 400 and returns null when either is invalid.
+function getRasterOptions(req, res, profile) {
+  const bits = req.query.bits ? parseInt(req.query.bits) : null;
+  if (bits != null && !BIT_DEPTHS.includes(bits)) {
+    res.status(400).json({
+      error: `Unsupported bit depth "${req.query.bits}"`,
+      bitDepths: BIT_DEPTHS,
+    });
+    return null;
+  }
+
+  const defaults = getRasterDefaults(getDisplayProfile(profile), bits);
+  const dither = (req.query.dither || defaults.dither).toString().toLowerCase();
+  if (!DITHER_METHODS.includes(dither)) {
+    res.status(400).json({
+      error: `Unknown dither method "${dither}"`,
+      ditherMethods: DITHER_METHODS,
+    });
+    return null;
+  }
+  return { bits: defaults.bits, dither };
+}
+
+// Label renders with the shard name only when more than one is tracked
+function createGenerator(dataUpdater, profile, theme) {
+  return new FoxholeSVGGenerator({
+    shard: dataUpdater.shard.id,
+    profile,
+    theme,
+    shardLabel: shards.length > 1 ? dataUpdater.shard.name : null,
+    warApi: dataUpdater.warApi,
+    hexRegistry: dataUpdater.hexRegistry,
+    townRegistry: dataUpdater.townRegistry,
+    tracker: dataUpdater.tracker,
+    watchdog: dataUpdater.watchdog,
+  });
+}
 
 // Basic web server setup
 app.use(express.static("public"));
 
 // Simple web interface
 app.get("/", (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+
+  const shard = dataUpdater.shard.id;
   const status = dataUpdater.getConquerStatus();
   const trackedTowns = Object.keys(status.features).length;
+  const shardLinks = shards
+    .map((id) =>
+      id === shard
+        ? `<strong>${SHARDS[id].name}</strong>`
+        : `<a href="/?shard=${id}">${SHARDS[id].name}</a>`,
+    )
+    .join(" | ");
 
   res.send(`
     <!DOCTYPE html>
@@ -37,9 +200,11 @@ app.get("/", (req, res) => {
     </head>
     <body>
       <h1>Foxhole SVG Generator</h1>
+      ${shards.length > 1 ? `<p>Shard: ${shardLinks}</p>` : ""}
       
       <div class="status">
         <h3>Status</h3>
+        <p><strong>Shard:</strong> ${dataUpdater.shard.name}</p>
         <p><strong>Tracking Service:</strong> ${dataUpdater.isRunning ? "Running" : "Stopped"}</p>
         <p><strong>Tracked Towns:</strong> ${trackedTowns}</p>
         <p><strong>Last Update:</strong> ${new Date().toLocaleString()}</p>
@@ -55,17 +220,18 @@ app.get("/", (req, res) => {
       <h3>Actions</h3>
       
       
-      <a href="/api/generate-epaper-svg" class="button">Download E-Paper SVG</a>
-      <a href="/api/generate-epaper-svg" class="button" onclick="generateAndSaveEpaper(event)">Generate & Save E-Paper</a>
-      <a href="/view-epaper-svg" class="button">View Latest E-Paper SVG</a>
+      <a href="/api/generate-epaper-svg?shard=${shard}" class="button">Download E-Paper SVG</a>
+      <a href="/api/generate-epaper-svg?shard=${shard}" class="button" onclick="generateAndSaveEpaper(event)">Generate & Save E-Paper</a>
+      <a href="/view-epaper-svg?shard=${shard}" class="button">View Latest E-Paper SVG</a>
+      <a href="/api/render.png?shard=${shard}" class="button">View Panel PNG</a>
       <a href="/health" class="button">Health Check</a>
       
       <script>
-
+        const shard = '${shard}';
         
         function generateAndSaveEpaper(e) {
           e.preventDefault();
-          fetch('/api/generate-epaper-svg', { method: 'POST' })
+          fetch('/api/generate-epaper-svg?shard=' + shard, { method: 'POST' })
             .then(response => response.json())
             .then(data => {
               if (data.success) {
@@ -81,20 +247,20 @@ app.get("/", (req, res) => {
         }
         
         function loadRecentCaptures() {
-          fetch('/api/recent-captures')
+          fetch('/api/recent-captures?shard=' + shard)
             .then(response => response.json())
             .then(data => {
               // Display captures
               let html = '<div style="display: flex; gap: 20px;">';
               
               // Warden captures
-              html += '<div style="flex: 1;"><h4 style="color: #245682;">Warden Captures</h4>';
+              html += '<div style="flex: 1;"><h4 style="color: ${THEMES.color.teams.WARDENS};">Warden Captures</h4>';
               if (data.wardenCaptures && data.wardenCaptures.length > 0) {
                 data.wardenCaptures.forEach(capture => {
                   const hours = Math.floor(capture.timeSinceCapture / (60 * 60 * 1000));
                   const minutes = Math.floor((capture.timeSinceCapture % (60 * 60 * 1000)) / (60 * 1000));
                   const timeText = hours > 0 ? hours + 'h ' + minutes + 'm ago' : minutes + 'm ago';
-                  html += '<p style="margin: 5px 0; color: #245682; font-size: 12px;">';
+                  html += '<p style="margin: 5px 0; color: ${THEMES.color.teams.WARDENS}; font-size: 12px;">';
                   html += '<strong>' + capture.hexName + '</strong> - ' + capture.townName + '<br>';
                   html += '<span style="color: #666; font-size: 11px;">' + timeText + '</span>';
                   html += '</p>';
@@ -105,13 +271,13 @@ app.get("/", (req, res) => {
               html += '</div>';
               
               // Colonial captures
-              html += '<div style="flex: 1;"><h4 style="color: #516C4B;">Colonial Captures</h4>';
+              html += '<div style="flex: 1;"><h4 style="color: ${THEMES.color.teams.COLONIALS};">Colonial Captures</h4>';
               if (data.colonialCaptures && data.colonialCaptures.length > 0) {
                 data.colonialCaptures.forEach(capture => {
                   const hours = Math.floor(capture.timeSinceCapture / (60 * 60 * 1000));
                   const minutes = Math.floor((capture.timeSinceCapture % (60 * 60 * 1000)) / (60 * 1000));
                   const timeText = hours > 0 ? hours + 'h ' + minutes + 'm ago' : minutes + 'm ago';
-                  html += '<p style="margin: 5px 0; color: #516C4B; font-size: 12px;">';
+                  html += '<p style="margin: 5px 0; color: ${THEMES.color.teams.COLONIALS}; font-size: 12px;">';
                   html += '<strong>' + capture.hexName + '</strong> - ' + capture.townName + '<br>';
                   html += '<span style="color: #666; font-size: 11px;">' + timeText + '</span>';
                   html += '</p>';
@@ -129,8 +295,11 @@ app.get("/", (req, res) => {
             });
         }
         
-        // Load recent captures when page loads
+        // Load recent captures when page loads, and again as towns change hands
         loadRecentCaptures();
+        const events = new EventSource('/api/events?shard=' + shard);
+        events.addEventListener('townCaptured', loadRecentCaptures);
+        events.addEventListener('townNeutralised', loadRecentCaptures);
       </script>
     </body>
     </html>
@@ -139,23 +308,319 @@ app.get("/", (req, res) => {
 
 // Health check endpoint
 app.get("/health", (req, res) => {
+  const shardHealth = {};
+  for (const [shard, dataUpdater] of dataUpdaters) {
+    dataUpdater.watchdog.check();
+    shardHealth[shard] = {
+      tracking: dataUpdater.isRunning,
+      storage: dataUpdater.tracker.inMemory ? "memory" : "sqlite",
+      polling: dataUpdater.scheduler.getStatus(),
+      freshness: dataUpdater.watchdog.getStatus(),
+      trackedTowns: Object.keys(dataUpdater.getConquerStatus().features)
+        .length,
+      warApi: dataUpdater.warApi.getHealth(),
+      hexes: dataUpdater.hexRegistry.getReport(),
+    };
+  }
+  const all = Object.values(shardHealth);
+
+  // Old data is worse than a flaky API, so "stale" wins over "degraded"
+  let status = "ok";
+  if (all.some((s) => s.freshness.stale)) {
+    status = "stale";
+  } else if (!all.every((s) => s.warApi.circuit.state === "closed")) {
+    status = "degraded";
+  }
+
   res.json({
-    status: "ok",
-    tracking: dataUpdater.isRunning,
-    trackedTowns: Object.keys(dataUpdater.getConquerStatus().features).length,
+    status,
+    stale: all.some((s) => s.freshness.stale),
+    tracking: all.every((s) => s.tracking),
+    trackedTowns: all.reduce((sum, s) => sum + s.trackedTowns, 0),
+    shards: shardHealth,
   });
 });
 
 // Get current conquerStatus data
 app.get("/api/conquerStatus", (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+
   res.json(dataUpdater.getConquerStatus());
 });
 
+// Hex list: live hexes, plus any without geometry or no longer live
+app.get("/api/hexes", (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+
+  const registry = dataUpdater.hexRegistry;
+  res.json({
+    ...registry.getReport(),
+    hexes: registry.getAllHexes().map((hex) => ({
+      id: hex.id,
+      name: hex.name,
+      live: hex.live,
+    })),
+  });
+});
+
+// Capture event log. Optional filters: since, until (epoch ms), hex, town,
+// team, war, limit
+app.get("/api/capture-events", (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+
+  const since = getQueryInteger(req, res, "since");
+  if (since === undefined) return;
+  const until = getQueryInteger(req, res, "until");
+  if (until === undefined) return;
+  const warNumber = getWarNumber(req, res);
+  if (warNumber === undefined) return;
+  const limit = getQueryInteger(req, res, "limit");
+  if (limit === undefined) return;
+
+  res.json({
+    events: dataUpdater.tracker.getCaptureEvents({
+      since,
+      until,
+      region: req.query.hex ?? null,
+      townId: req.query.town ?? null,
+      team: req.query.team ?? null,
+      warNumber,
+      limit: Math.min(limit || 500, 5000),
+    }),
+  });
+});
+
+// What the last poll cycles changed: captures, neutralisations, new and
+// vanished towns. Kept in memory, newest first.
+app.get("/api/changes", (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+
+  const limit = parseInt(req.query.limit) || 10;
+  res.json({
+    latest: dataUpdater.lastChangeset,
+    recent: dataUpdater.recentChangesets.slice(0, limit),
+  });
+});
+
+// Live war events (captures, victory points, hex control, war state) as
+// server-sent events, one stream per shard
+app.get("/api/events", (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const unsubscribe = onWarEvents(dataUpdater, (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  // Comments keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 30000);
+
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+// Retention policy and what the last run rolled up and pruned
+app.get("/api/retention", (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+
+  res.json(retentionJob.getStatus(dataUpdater.shard.id));
+});
+
+// Hourly or daily aggregates that outlive the detail rows. Optional
+// filters: period (hour|day), since (epoch ms), hex
+app.get("/api/rollups", (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+
+  const period = req.query.period === "hour" ? "hour" : "day";
+  const filters = {
+    period,
+    since: req.query.since != null ? parseInt(req.query.since) : null,
+    region: req.query.hex ?? null,
+  };
+  res.json({
+    period,
+    captures: dataUpdater.tracker.getCaptureRollups(filters),
+    warReports: dataUpdater.tracker.getWarReportRollups(filters),
+  });
+});
+
+// Admin routes need ADMIN_TOKEN, sent as "Authorization: Bearer <token>".
+// Without it configured they are disabled.
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res
+      .status(403)
+      .json({ error: "Admin endpoints are disabled, set ADMIN_TOKEN to enable them" });
+  }
+
+  const given = Buffer.from(
+    (req.get("authorization") || "").replace(/^Bearer\s+/i, ""),
+  );
+  const expected = Buffer.from(token);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: "Invalid admin token" });
+  }
+  next();
+}
+
+// Export tracking data: format=json (default), ndjson, or sqlite for a
+// consistent copy of the whole database file. war= limits json/ndjson
+// exports to one war.
+app.get("/api/admin/export", requireAdmin, async (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+
+  const warNumber = getWarNumber(req, res);
+  if (warNumber === undefined) return;
+
+  const { tracker, shard } = dataUpdater;
+  const format = req.query.format || "json";
+  const stamp = new Date().toISOString().replace(/[-:.]/g, "").slice(0, 15);
+  const fileName = `foxhole-${shard.id}-${warNumber ?? "all"}-${stamp}`;
+
+  try {
+    if (format === "sqlite") {
+      const backupPath = join(tmpdir(), `${fileName}.db`);
+      await backupDatabase(tracker, backupPath);
+      res.download(backupPath, `${fileName}.db`, () => {
+        fs.unlink(backupPath).catch(() => {});
+      });
+    } else if (format === "ndjson") {
+      res.attachment(`${fileName}.ndjson`);
+      res.type("application/x-ndjson");
+      for (const line of exportNdjsonLines(tracker, { warNumber })) {
+        res.write(line + "\n");
+      }
+      res.end();
+    } else if (format === "json") {
+      res.attachment(`${fileName}.json`);
+      res.json(exportDump(tracker, { warNumber }));
+    } else {
+      res.status(400).json({ error: `Unknown format "${format}"` });
+    }
+  } catch (error) {
+    console.error("Error exporting tracking data:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to export tracking data" });
+    }
+  }
+});
+
+// Merge a JSON or NDJSON export into this shard's database. The body is
+// held in memory while it is parsed, so its size is capped; larger dumps go
+// through `db-admin import` on the host.
+const ADMIN_IMPORT_LIMIT = process.env.ADMIN_IMPORT_LIMIT || "32mb";
+
+app.post(
+  "/api/admin/import",
+  requireAdmin,
+  express.text({ type: () => true, limit: ADMIN_IMPORT_LIMIT }),
+  (req, res) => {
+    const dataUpdater = getDataUpdater(req, res);
+    if (!dataUpdater) return;
+
+    let dump;
+    try {
+      dump = parseDump(req.body || "");
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const counts = importDump(dataUpdater.tracker, dump);
+      res.json({ success: true, from: dump.header, counts });
+    } catch (error) {
+      console.error("Error importing tracking data:", error);
+      res.status(500).json({ error: "Failed to import tracking data" });
+    }
+  },
+  (error, req, res, next) => {
+    if (error.type !== "entity.too.large") return next(error);
+    res.status(413).json({
+      error: `Import larger than ${ADMIN_IMPORT_LIMIT}; use db-admin import on the host`,
+    });
+  },
+);
+
+// Wars tracked by this instance, newest first
+app.get("/api/wars", (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+
+  res.json({
+    currentWar: dataUpdater.tracker.getCurrentWarNumber(),
+    wars: dataUpdater.tracker.getWars(),
+  });
+});
+
+// A single war: its final (or current) town ownership and capture log
+app.get("/api/wars/:warNumber", (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+
+  const warNumber = parseInt(req.params.warNumber);
+  const war = dataUpdater.tracker.getWar(warNumber);
+  if (!war) {
+    return res.status(404).json({ error: `War ${req.params.warNumber} not tracked` });
+  }
+
+  res.json({
+    war,
+    towns: dataUpdater.tracker.getTownsForWar(warNumber),
+    captureEvents: dataUpdater.tracker.getCaptureEvents({
+      warNumber,
+      limit: 5000,
+    }),
+  });
+});
+
+// War report summary: casualty totals and 24h rate per faction, plus the
+// latest report for each hex
+app.get("/api/war-report", (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+
+  res.json({
+    summary: dataUpdater.tracker.getCasualtySummary(),
+    hexes: dataUpdater.tracker.getLatestWarReports(),
+  });
+});
+
+// War report time series for one hex (?since= epoch ms)
+app.get("/api/war-report/:hexId", (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+
+  const since = parseInt(req.query.since) || 0;
+  res.json({
+    hex: req.params.hexId,
+    reports: dataUpdater.tracker.getWarReportHistory(req.params.hexId, since),
+  });
+});
+
 // Get enriched recent captures with hex and region names
 app.get("/api/recent-captures", async (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+
   try {
     // Use the same logic as the SVG generator
-    const generator = new FoxholeSVGGenerator();
+    const generator = createGenerator(dataUpdater);
     generator.conquerStatus = dataUpdater.getConquerStatus();
 
     // Fetch map data to get proper hex and town names
@@ -177,10 +642,17 @@ app.get("/api/recent-captures", async (req, res) => {
 
 // Generate e-paper SVG map
 app.get("/api/generate-epaper-svg", async (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+  const profile = getProfileId(req, res);
+  if (!profile) return;
+  const theme = getThemeId(req, res);
+  if (!theme) return;
+
   try {
     console.log("Generating e-paper SVG map...");
 
-    const generator = new FoxholeSVGGenerator();
+    const generator = createGenerator(dataUpdater, profile, theme);
     generator.conquerStatus = dataUpdater.getConquerStatus();
 
     // Fetch map data first before generating SVG
@@ -190,7 +662,7 @@ app.get("/api/generate-epaper-svg", async (req, res) => {
     res.setHeader("Content-Type", "image/svg+xml");
     res.setHeader(
       "Content-Disposition",
-      'attachment; filename="foxhole-map-epaper.svg"',
+      `attachment; filename="foxhole-map-epaper${generator.getOutputSuffix()}.svg"`,
     );
     res.send(svg);
 
@@ -203,20 +675,28 @@ app.get("/api/generate-epaper-svg", async (req, res) => {
 
 // Generate and save e-paper SVG to file
 app.post("/api/generate-epaper-svg", async (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+  const profile = getProfileId(req, res);
+  if (!profile) return;
+  const theme = getThemeId(req, res);
+  if (!theme) return;
+
   try {
     console.log("Generating and saving e-paper SVG map...");
 
-    const generator = new FoxholeSVGGenerator();
+    const generator = createGenerator(dataUpdater, profile, theme);
     generator.conquerStatus = dataUpdater.getConquerStatus();
 
     await generator.generateAndSaveEpaperSVG();
+    const suffix = generator.getOutputSuffix();
 
     res.json({
       success: true,
       message: "E-paper SVG generated and saved",
       files: [
-        "latest-epaper.svg",
-        `foxhole-map-epaper-${new Date().toISOString().replace(/[:.]/g, "-")}.svg`,
+        `latest-epaper${suffix}.svg`,
+        `foxhole-map-epaper${suffix}-${new Date().toISOString().replace(/[:.]/g, "-")}.svg`,
       ],
     });
 
@@ -227,14 +707,107 @@ app.post("/api/generate-epaper-svg", async (req, res) => {
   }
 });
 
+// Rasterised e-paper dashboard, dithered for the panel and saved to output/
+app.get(["/api/render.png", "/api/render.bmp"], async (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+  const profile = getProfileId(req, res);
+  if (!profile) return;
+  const theme = getThemeId(req, res);
+  if (!theme) return;
+  const raster = getRasterOptions(req, res, profile);
+  if (!raster) return;
+
+  try {
+    const format = req.path.endsWith(".bmp") ? "bmp" : "png";
+    const generator = createGenerator(dataUpdater, profile, theme);
+    generator.conquerStatus = dataUpdater.getConquerStatus();
+
+    const image = await generator.generateAndSaveBitmap({ ...raster, format });
+
+    res.setHeader("Content-Type", format === "bmp" ? "image/bmp" : "image/png");
+    res.setHeader("Cache-Control", "no-store");
+    res.send(image);
+  } catch (error) {
+    console.error("Error rendering e-paper bitmap:", error);
+    res.status(500).json({ error: "Failed to render e-paper bitmap" });
+  }
+});
+
+// One hex full-screen with its towns, labels and capture log. The hex is
+// its War API name ("DeadLandsHex"); case and the "Hex" suffix are optional.
+app.get("/api/hex/:hexId.svg", async (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+  const profile = getProfileId(req, res);
+  if (!profile) return;
+  const theme = getThemeId(req, res);
+  if (!theme) return;
+
+  const hex = dataUpdater.hexRegistry.findHex(req.params.hexId);
+  if (!hex) {
+    return res.status(404).json({
+      error: `Unknown hex "${req.params.hexId}"`,
+      hexes: dataUpdater.hexRegistry.getAllHexes().map((candidate) => candidate.id),
+    });
+  }
+
+  try {
+    const generator = createGenerator(dataUpdater, profile, theme);
+    generator.conquerStatus = dataUpdater.getConquerStatus();
+
+    await generator.fetchAllMapData();
+    const svg = generator.generateHexDetailSVG(hex.id);
+
+    res.setHeader("Content-Type", "image/svg+xml");
+    res.send(svg);
+  } catch (error) {
+    console.error(`Error generating hex detail for ${hex.id}:`, error);
+    res.status(500).json({ error: "Failed to generate hex detail SVG" });
+  }
+});
+
 // View the latest e-paper SVG in the browser
 app.get("/view-epaper-svg", async (req, res) => {
+  const dataUpdater = getDataUpdater(req, res);
+  if (!dataUpdater) return;
+  const profile = getProfileId(req, res);
+  if (!profile) return;
+  const theme = getThemeId(req, res);
+  if (!theme) return;
+
   try {
     const fs = await import("fs");
     const path = await import("path");
 
-    // Check if latest-epaper.svg exists
-    const svgPath = path.join(process.cwd(), "output", "latest-epaper.svg");
+    // Check if latest-epaper.svg exists for this shard
+    const shard = dataUpdater.shard.id;
+    const { width, height } = getDisplayProfile(profile);
+    const suffix = createGenerator(dataUpdater, profile, theme).getOutputSuffix();
+    // Links and requests stay on this shard, profile and theme
+    const withProfile = (id) =>
+      `shard=${shard}${id === DEFAULT_PROFILE ? "" : `&profile=${id}`}`;
+    const withTheme = (id) => (id === DEFAULT_THEME ? "" : `&theme=${id}`);
+    const query = `${withProfile(profile)}${withTheme(theme)}`;
+    const profileLinks = Object.entries(DISPLAY_PROFILES)
+      .map(([id, { name }]) =>
+        id === profile
+          ? `<strong>${name}</strong>`
+          : `<a href="/view-epaper-svg?${withProfile(id)}${withTheme(theme)}">${name}</a>`,
+      )
+      .join(" | ");
+    const themeLinks = Object.entries(THEMES)
+      .map(([id, { name }]) =>
+        id === theme
+          ? `<strong>${name}</strong>`
+          : `<a href="/view-epaper-svg?${withProfile(profile)}${withTheme(id)}">${name}</a>`,
+      )
+      .join(" | ");
+    const svgPath = path.join(
+      process.cwd(),
+      "output",
+      `latest-epaper${suffix}.svg`,
+    );
 
     if (!fs.existsSync(svgPath)) {
       return res.status(404).send(`
@@ -253,16 +826,16 @@ app.get("/view-epaper-svg", async (req, res) => {
           <div class="error">
             <p>No e-paper SVG file found. Please generate one first.</p>
           </div>
-          <a href="/" class="button">Back to Home</a>
-          <a href="/api/generate-epaper-svg" class="button" onclick="generateAndSaveEpaper(event)">Generate E-Paper SVG</a>
+          <a href="/?shard=${shard}" class="button">Back to Home</a>
+          <a href="/api/generate-epaper-svg?${query}" class="button" onclick="generateAndSaveEpaper(event)">Generate E-Paper SVG</a>
           <script>
             function generateAndSaveEpaper(e) {
               e.preventDefault();
-              fetch('/api/generate-epaper-svg', { method: 'POST' })
+              fetch('/api/generate-epaper-svg?${query}', { method: 'POST' })
                 .then(response => response.json())
                 .then(data => {
                   if (data.success) {
-                    window.location.href = '/view-epaper-svg';
+                    window.location.href = '/view-epaper-svg?${query}';
                   } else {
                     alert('Error: ' + data.error);
                   }
@@ -326,11 +899,14 @@ app.get("/view-epaper-svg", async (req, res) => {
       </head>
       <body>
         <div class="header">
-          <h1>Foxhole Map - Latest E-Paper SVG (800x480)</h1>
+          <h1>Foxhole Map - Latest E-Paper SVG (${width}x${height})${shards.length > 1 ? ` - ${dataUpdater.shard.name}` : ""}</h1>
+          <p>Display profile: ${profileLinks}</p>
+          <p>Theme: ${themeLinks}</p>
           <div class="controls">
-            <a href="/" class="button">Back to Home</a>
-            <a href="/api/generate-epaper-svg" class="button">Download E-Paper SVG</a>
-            <a href="/api/generate-epaper-svg" class="button" onclick="regenerateAndRefresh(event)">Regenerate E-Paper SVG</a>
+            <a href="/?shard=${shard}" class="button">Back to Home</a>
+            <a href="/api/generate-epaper-svg?${query}" class="button">Download E-Paper SVG</a>
+            <a href="/api/render.png?${query}" class="button">View Panel PNG</a>
+            <a href="/api/generate-epaper-svg?${query}" class="button" onclick="regenerateAndRefresh(event)">Regenerate E-Paper SVG</a>
           </div>
         </div>
         
@@ -342,7 +918,7 @@ app.get("/view-epaper-svg", async (req, res) => {
           function regenerateAndRefresh(e) {
             e.preventDefault();
             if (confirm('This will regenerate the e-paper SVG. Continue?')) {
-              fetch('/api/generate-epaper-svg', { method: 'POST' })
+              fetch('/api/generate-epaper-svg?${query}', { method: 'POST' })
                 .then(response => response.json())
                 .then(data => {
                   if (data.success) {
@@ -390,27 +966,77 @@ app.listen(port, () => {
   console.log(`🚀 Foxhole SVG Generator server running on port ${port}`);
   console.log(`📊 Web interface: http://localhost:${port}`);
   console.log(`🔍 Health check: http://localhost:${port}/health`);
-  console.log(
-    `📈 Tracking service: ${dataUpdater.isRunning ? "running" : "stopped"}`,
-  );
+  for (const dataUpdater of dataUpdaters.values()) {
+    console.log(
+      `📈 Tracking service (${dataUpdater.shard.name}): ${dataUpdater.isRunning ? "running" : "stopped"}`,
+    );
+  }
 
   // Start the Terminus poster service if environment variables are configured
   if (process.env.TERMINUS_URL && process.env.TERMINUS_LOGIN && process.env.TERMINUS_PASSWORD) {
     console.log("🌐 Starting Terminus poster service...");
     import("./terminus-poster.js")
-      .then((module) => {
+      .then(async (module) => {
         const TerminusPoster = module.default;
-        const poster = new TerminusPoster();
 
-        // Connect the data updater to the Terminus poster
-        dataUpdater.setTerminusPoster(poster);
+        // One Terminus screen per shard and display profile, plus one per
+        // hex listed in TERMINUS_HEXES
+        const profiles = getTerminusProfiles();
+        const hexNames = (process.env.TERMINUS_HEXES || "")
+          .split(",")
+          .map((hex) => hex.trim())
+          .filter(Boolean);
+        for (const dataUpdater of dataUpdaters.values()) {
+          // Hex names are matched like the /api/hex route matches them; an
+          // unknown one gets no poster rather than one that fails every cycle
+          const { hexRegistry } = dataUpdater;
+          if (hexNames.length > 0 && !hexRegistry.refreshedAt) {
+            await hexRegistry.refresh();
+          }
+          const hexes = [null];
+          for (const name of hexNames) {
+            const hex = hexRegistry.findHex(name);
+            if (hex) {
+              hexes.push(hex.id);
+            } else {
+              console.error(
+                `❌ Unknown hex "${name}" in TERMINUS_HEXES, no screen created for it. Known hexes: ${hexRegistry
+                  .getAllHexes()
+                  .map((candidate) => candidate.id)
+                  .join(", ")}`,
+              );
+            }
+          }
+
+          for (const [profile, hex] of profiles.flatMap((profile) =>
+            hexes.map((hex) => [profile, hex]),
+          )) {
+            const poster = new TerminusPoster({
+              shard: dataUpdater.shard.id,
+              profile,
+              hex,
+              shardLabel: shards.length > 1 ? dataUpdater.shard.name : null,
+              warApi: dataUpdater.warApi,
+              hexRegistry: dataUpdater.hexRegistry,
+              townRegistry: dataUpdater.townRegistry,
+              tracker: dataUpdater.tracker,
+              watchdog: dataUpdater.watchdog,
+            });
 
-        // Start the poster service
-        poster.start().catch((error) => {
-          console.error("❌ Failed to start Terminus poster service:", error);
-        });
+            // Repost when the data updater's cycles change something
+            poster.attach(dataUpdater);
+            terminusPosters.push(poster);
 
-        console.log("✅ Terminus poster connected to data updater");
+            // Start the poster service
+            poster.start().catch((error) => {
+              console.error("❌ Failed to start Terminus poster service:", error);
+            });
+
+            console.log(
+              `✅ Terminus poster (${poster.profile.name}${hex ? `, ${hex}` : ""}) connected to ${dataUpdater.shard.name} data updater`,
+            );
+          }
+        }
       })
       .catch((error) => {
         console.error("❌ Failed to import Terminus poster:", error);
@@ -422,15 +1048,22 @@ app.listen(port, () => {
   }
 });
 
-// Graceful shutdown
-process.on("SIGINT", () => {
-  console.log("\nShutting down gracefully...");
-  dataUpdater.close();
-  process.exit(0);
-});
+// Graceful shutdown: posters stop first and get a few seconds to finish a
+// post under way, since it still reads from the trackers closed after them
+const SHUTDOWN_GRACE = 5000;
 
-process.on("SIGTERM", () => {
+async function shutdown() {
   console.log("\nShutting down gracefully...");
-  dataUpdater.close();
+  await Promise.race([
+    Promise.allSettled(terminusPosters.map((poster) => poster.stop())),
+    new Promise((resolve) => setTimeout(resolve, SHUTDOWN_GRACE)),
+  ]);
+  retentionJob.stop();
+  for (const dataUpdater of dataUpdaters.values()) {
+    dataUpdater.close();
+  }
   process.exit(0);
-});
+}
+
+process.once("SIGINT", shutdown);
+process.once("SIGTERM", shutdown);
@@ -0,0 +1,40 @@
+import logger from "./logger.js";
+
+// Foxhole shards and the War API host that serves each of them
+export const SHARDS = {
+  able: { name: "Able", host: "war-service-live.foxholeservices.com" },
+  baker: { name: "Baker", host: "war-service-live-2.foxholeservices.com" },
+  charlie: { name: "Charlie", host: "war-service-live-3.foxholeservices.com" },
+};
+
+export const DEFAULT_SHARD = "able";
+
+// Shards to track, from FOXHOLE_SHARDS (comma separated, e.g. "able,baker").
+// The first one is the default for API routes that don't pass ?shard=
+export function getConfiguredShards() {
+  const requested = (process.env.FOXHOLE_SHARDS || DEFAULT_SHARD)
+    .split(",")
+    .map((shard) => shard.trim().toLowerCase())
+    .filter(Boolean);
+
+  const shards = [];
+  for (const shard of requested) {
+    if (!(shard in SHARDS)) {
+      logger.warn(
+        `Ignoring unknown shard "${shard}" (known: ${Object.keys(SHARDS).join(", ")})`,
+      );
+      continue;
+    }
+    if (!shards.includes(shard)) shards.push(shard);
+  }
+
+  return shards.length > 0 ? shards : [DEFAULT_SHARD];
+}
+
+export function getShard(shard = DEFAULT_SHARD) {
+  const config = SHARDS[shard];
+  if (!config) {
+    throw new Error(`Unknown shard: ${shard}`);
+  }
+  return { id: shard, ...config };
+}
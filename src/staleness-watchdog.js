@@ -0,0 +1,154 @@
+import logger from "./logger.js";
+
+// Watches one shard's war feed for data that has stopped moving: the
+// updater loop failing (no successful poll) or the War API serving old
+// responses. The War API's Date and Age headers say when a response was
+// produced, so a cache replaying it shows up as a time that stops moving.
+// Without those headers it falls back to the newest hex `lastUpdated`, but
+// a quiet war can go hours without an update, so that only counts once a
+// gap between polls that moved it has been seen, and then only after
+// twice that long without a move.
+class StalenessWatchdog {
+  constructor(name) {
+    this.name = name;
+    this.threshold =
+      parseInt(process.env.STALE_DATA_THRESHOLD || "3600") * 1000; // 1 hour
+    this.checkInterval =
+      parseInt(process.env.STALE_CHECK_INTERVAL || "60") * 1000; // 1 minute
+    this.intervalId = null;
+    this.startedAt = Date.now();
+    this.hexes = new Map(); // hexId -> { version, lastUpdated, seenAt }
+    this.newestDataAt = null;
+    this.dataAdvancedAt = null; // When a poll last moved newestDataAt
+    this.polledDataAt = null; // newestDataAt as of the last poll
+    this.longestDataGap = 0; // Longest wait between two such polls
+    this.newestServedAt = null; // From the War API's response headers
+    this.servedAdvancedAt = null; // When newestServedAt last moved
+    this.lastSuccessfulPollAt = null;
+    // Nothing changes between the end of a war and the next one
+    this.warOver = false;
+    this.staleSince = null;
+    this.reason = null;
+  }
+
+  start() {
+    if (this.intervalId) return;
+
+    this.startedAt = Date.now();
+    this.intervalId = setInterval(() => this.check(), this.checkInterval);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  // A hex's dynamic map was fetched. Only a newer version moves data time.
+  recordHex(hexId, { version, lastUpdated }) {
+    const now = Date.now();
+    const previous = this.hexes.get(hexId);
+    if (previous && previous.version === version) return;
+
+    const dataAt = Math.min(lastUpdated || now, now);
+    this.hexes.set(hexId, { version, lastUpdated: dataAt, seenAt: now });
+    if (this.newestDataAt == null || dataAt > this.newestDataAt) {
+      this.newestDataAt = dataAt;
+    }
+  }
+
+  // The War API answered a request; servedAt is when it produced the
+  // response (null when it sent no Date header)
+  recordResponse(servedAt) {
+    if (servedAt == null) return;
+    if (this.newestServedAt == null || servedAt > this.newestServedAt) {
+      this.newestServedAt = servedAt;
+      this.servedAdvancedAt = Date.now();
+    }
+  }
+
+  // A poll cycle reached the War API and stored what it got
+  recordPoll({ warOver = false } = {}) {
+    const now = Date.now();
+    this.lastSuccessfulPollAt = now;
+    if (this.newestDataAt != null && this.newestDataAt !== this.polledDataAt) {
+      if (this.dataAdvancedAt != null) {
+        this.longestDataGap = Math.max(this.longestDataGap, now - this.dataAdvancedAt);
+      }
+      this.dataAdvancedAt = now;
+      this.polledDataAt = this.newestDataAt;
+    }
+    this.warOver = warOver;
+    this.check();
+  }
+
+  // Forget hex versions when a new war restarts tracking
+  reset() {
+    this.hexes.clear();
+    this.newestDataAt = null;
+    this.dataAdvancedAt = null;
+    this.polledDataAt = null;
+    this.longestDataGap = 0;
+  }
+
+  // Re-evaluate and log when the feed goes stale or recovers
+  check(now = Date.now()) {
+    const lastPoll = this.lastSuccessfulPollAt ?? this.startedAt;
+
+    let since = null;
+    let reason = null;
+    if (now - lastPoll > this.threshold) {
+      since = lastPoll;
+      reason = this.lastSuccessfulPollAt
+        ? "no successful poll"
+        : "no successful poll since start";
+    } else if (this.newestServedAt != null) {
+      if (now - this.servedAdvancedAt > this.threshold) {
+        since = this.newestServedAt;
+        reason = "War API serving cached responses";
+      }
+    } else if (!this.warOver && this.longestDataGap > 0) {
+      const lastMove = this.dataAdvancedAt;
+      if (now - lastMove > Math.max(this.threshold, 2 * this.longestDataGap)) {
+        since = lastMove;
+        reason = "War API data not advancing";
+      }
+    }
+
+    if (since != null && this.staleSince == null) {
+      logger.warn(
+        `${this.name}: data stale since ${new Date(since).toISOString()} (${reason})`,
+      );
+    } else if (since == null && this.staleSince != null) {
+      logger.info(`${this.name}: data is fresh again`);
+    }
+
+    this.staleSince = since;
+    this.reason = reason;
+    return this.staleSince != null;
+  }
+
+  // When the data went stale, or null while it is fresh
+  getStaleSince() {
+    this.check();
+    return this.staleSince;
+  }
+
+  getStatus() {
+    const iso = (ms) => (ms == null ? null : new Date(ms).toISOString());
+    return {
+      stale: this.staleSince != null,
+      staleSince: iso(this.staleSince),
+      reason: this.reason,
+      thresholdSeconds: this.threshold / 1000,
+      lastSuccessfulPollAt: iso(this.lastSuccessfulPollAt),
+      newestDataAt: iso(this.newestDataAt),
+      newestServedAt: iso(this.newestServedAt),
+      signal: this.newestServedAt != null ? "headers" : "hex data",
+      trackedHexes: this.hexes.size,
+    };
+  }
+}
+
+export default StalenessWatchdog;
@@ -0,0 +1,32 @@
+import fs from "fs/promises";
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const STATIC_DATA_PATH = join(__dirname, "..", "public", "static.json");
+
+// Size of a hex in world units. The War API reports positions as 0-1
+// fractions of this extent, measured from the hex's top-left corner.
+export const HEX_EXTENT = [2046, 1777];
+
+// Load static coordinate data (hex polygons, labels, Voronoi cells) once
+let STATIC_DATA = null;
+export async function loadStaticData() {
+  if (!STATIC_DATA) {
+    const staticFile = await fs.readFile(STATIC_DATA_PATH, "utf8");
+    STATIC_DATA = JSON.parse(staticFile);
+  }
+  return STATIC_DATA;
+}
+
+// Convert a War API position (x/y in 0-1) to world coordinates using the
+// bounds of the hex's Region polygon
+export function toWorldCoordinates(x, y, regionGeometry) {
+  const coords = regionGeometry.geometry.coordinates[0];
+  const minX = Math.min(...coords.map(([cx]) => cx));
+  const maxY = Math.max(...coords.map(([, cy]) => cy));
+
+  return [minX + x * HEX_EXTENT[0], maxY - y * HEX_EXTENT[1]];
+}
@@ -0,0 +1,43 @@
+import TownTracker from "./database.js";
+import { DEFAULT_SHARD } from "./shards.js";
+
+// Storage backends for tracking data. Both are TownTracker on SQLite and
+// run the same schema migrations; they differ only in where the database
+// lives:
+//   sqlite - a database file per shard under DATA_DIR (the default)
+//   memory - a transient in-memory SQLite database; history is lost on exit
+//
+// The storage contract is TownTracker's public methods, which is all the
+// updater, generators, poster, war report poller and server call:
+//   wars        getCurrentWar, getCurrentWarNumber, syncWar, archiveWar,
+//               getWars, getWar, getTownsForWar
+//   towns       applyPollCycle, rekeyLegacyTowns, getTownControl,
+//               getTownsInRegion, getAllTowns, getConquerStatus,
+//               getTownHistory, getCaptureEvents
+//   reports     recordWarReport, getLatestWarReports,
+//               getWarReportHistory, getCasualtySummary
+//   retention   rollupHistory, runRetention, getCaptureRollups,
+//               getWarReportRollups
+//   lifecycle   shard, inMemory (shown by /health), close
+// db-admin (export, import, backup) is the exception: it works on the
+// SQLite handle (`db`, `dbPath`) directly, so a backend that isn't SQLite
+// would have to bring its own dump and backup as well.
+export const STORAGE_BACKENDS = ["sqlite", "memory"];
+
+// Build the tracker for a shard. A process should create one per shard and
+// hand it to everything that needs it (updater, generator, poster, server).
+export function createTracker(
+  shard = DEFAULT_SHARD,
+  { backend = process.env.STORAGE_BACKEND || "sqlite", path = null } = {},
+) {
+  switch (backend) {
+    case "sqlite":
+      return new TownTracker(shard, { path });
+    case "memory":
+      return new TownTracker(shard, { path: ":memory:" });
+    default:
+      throw new Error(
+        `Unknown storage backend "${backend}" (expected one of: ${STORAGE_BACKENDS.join(", ")})`,
+      );
+  }
+}
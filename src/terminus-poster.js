@@ -4,6 +4,10 @@ import fs from "fs/promises";
 import FoxholeSVGGenerator from "./generate-svg.js";
 import dotenv from "dotenv";
 import logger from "./logger.js";
+import { DEFAULT_SHARD, getShard } from "./shards.js";
+import { DEFAULT_PROFILE } from "./display-profiles.js";
+import { WarEvents } from "./war-events.js";
+import { getRasterDefaults, renderBitmap } from "./rasterize.js";
 
 // Load environment variables from .env file
 dotenv.config();
@@ -12,7 +16,17 @@ dotenv.config();
 const TERMINUS_URL = process.env.TERMINUS_URL;
 const TERMINUS_LOGIN = process.env.TERMINUS_LOGIN;
 const TERMINUS_PASSWORD = process.env.TERMINUS_PASSWORD;
-const TERMINUS_BIT_DEPTH = process.env.TERMINUS_BIT_DEPTH || "1";
+// Overrides the bit depth of every screen's display profile when set
+const TERMINUS_BIT_DEPTH = process.env.TERMINUS_BIT_DEPTH;
+// "png" sends the built-in rasteriser's dithered bitmap instead of the SVG,
+// so Terminus's browser only has to show an image at its native size
+const TERMINUS_IMAGE = (process.env.TERMINUS_IMAGE || "svg").toLowerCase();
+// Theme for every screen; defaults to DISPLAY_THEME
+const TERMINUS_THEME = process.env.TERMINUS_THEME;
+// An unchanged dashboard is still reposted after this long, so the clock,
+// capture ages and casualty counts on the screen don't fall too far behind
+const TERMINUS_MAX_STALENESS =
+  parseInt(process.env.TERMINUS_MAX_STALENESS || "3600") * 1000; // 1 hour
 
 if (!TERMINUS_URL || !TERMINUS_LOGIN || !TERMINUS_PASSWORD) {
   logger.error(
@@ -28,13 +42,112 @@ if (!TERMINUS_URL || !TERMINUS_LOGIN || !TERMINUS_PASSWORD) {
 }
 
 class TerminusPoster {
-  constructor() {
-    this.generator = new FoxholeSVGGenerator();
+  constructor(options = {}) {
+    this.shard = getShard(options.shard || DEFAULT_SHARD);
+    this.generator = new FoxholeSVGGenerator({
+      shard: this.shard.id,
+      shardLabel: options.shardLabel,
+      warApi: options.warApi,
+      hexRegistry: options.hexRegistry,
+      townRegistry: options.townRegistry,
+      tracker: options.tracker,
+      watchdog: options.watchdog,
+      profile: options.profile,
+      theme: options.theme || TERMINUS_THEME,
+    });
+    this.profile = this.generator.profile;
+    // Hex detail screen for one hex instead of the world dashboard
+    this.hex = options.hex || null;
+    // One screen per shard and display profile; the default shard and
+    // profile keep the original screen name
+    const labels = [];
+    let screenName = this.hex
+      ? `foxhole_hex_${this.hex.toLowerCase()}`
+      : "foxhole_epaper_dashboard";
+    if (this.shard.id !== DEFAULT_SHARD) {
+      screenName += `_${this.shard.id}`;
+      labels.push(this.shard.name);
+    }
+    if (this.profile.id !== DEFAULT_PROFILE) {
+      screenName += `_${this.profile.id.replace(/-/g, "_")}`;
+      labels.push(this.profile.name);
+    }
+    this.screenName = screenName;
+    this.screenLabels = labels;
+    this.bitDepth = parseInt(TERMINUS_BIT_DEPTH || this.profile.bitDepth);
+    // Bitmap posts are encoded at the nearest depth the encoders write,
+    // which is then the depth reported to Terminus
+    this.raster = getRasterDefaults(this.profile, this.bitDepth);
     this.screenId = null;
     this.accessToken = null;
     this.refreshToken = null;
     this.tokenExpiresAt = null;
     this.tokenRefreshBuffer = 5 * 60 * 1000; // Refresh 5 minutes before expiration
+    this.lastPostedFingerprint = null;
+    this.lastPostedAt = null;
+    this.postQueue = Promise.resolve(); // Posts run one at a time
+  }
+
+  // Re-render after every poll cycle of a data updater; the screen is only
+  // reposted when its content changed (see shouldPost)
+  attach(dataUpdater) {
+    this.dataUpdater = dataUpdater;
+    this.onCycleComplete = () => {
+      this.postQueue = this.postQueue.then(() =>
+        this.generateAndPostWithFreshData(dataUpdater.getConquerStatus()),
+      );
+    };
+    dataUpdater.on(WarEvents.CYCLE_COMPLETE, this.onCycleComplete);
+  }
+
+  // Stop reposting; resolves once a post already under way has finished
+  stop() {
+    if (this.dataUpdater) {
+      this.dataUpdater.off(WarEvents.CYCLE_COMPLETE, this.onCycleComplete);
+      this.dataUpdater = null;
+    }
+    return this.postQueue;
+  }
+
+  // Post when the dashboard fingerprint differs from the last successful
+  // post, or that post is older than TERMINUS_MAX_STALENESS. The first
+  // render after a start always posts.
+  shouldPost(fingerprint) {
+    if (fingerprint !== this.lastPostedFingerprint) return true;
+    return Date.now() - this.lastPostedAt >= TERMINUS_MAX_STALENESS;
+  }
+
+  // Render the fetched data and post it if it is worth a screen refresh
+  async postIfChanged() {
+    const fingerprint = this.hex
+      ? this.generator.getHexFingerprint(this.hex)
+      : this.generator.getDashboardFingerprint();
+    if (!this.shouldPost(fingerprint)) {
+      logger.info(
+        `${this.shard.name} ${this.hex || "dashboard"} unchanged, skipping Terminus update`,
+      );
+      return;
+    }
+
+    logger.info("Updating Terminus display...");
+    const svg = this.hex
+      ? this.generator.generateHexDetailSVG(this.hex)
+      : this.generator.generateEpaperSVG();
+    if (await this.postToTerminus(svg)) {
+      this.lastPostedFingerprint = fingerprint;
+      this.lastPostedAt = Date.now();
+    }
+  }
+
+  // Screen label, resolved when posting: a hex's display name is only
+  // known once the hex registry has been refreshed
+  getScreenLabel() {
+    const title = this.hex
+      ? `Foxhole ${this.generator.hexRegistry.getHex(this.hex)?.name || this.hex}`
+      : "Foxhole E-Paper Map";
+    return this.screenLabels.length > 0
+      ? `${title} (${this.screenLabels.join(", ")})`
+      : title;
   }
 
   async authenticate() {
@@ -162,7 +275,7 @@ class TerminusPoster {
       logger.debug(`Found ${screens.length} existing screens`);
 
       for (const screen of screens) {
-        if (screen.name === "foxhole_epaper_dashboard") {
+        if (screen.name === this.screenName) {
           this.screenId = screen.id;
           logger.debug(`Found existing Foxhole screen: ${this.screenId}`);
           return this.screenId;
@@ -181,7 +294,7 @@ class TerminusPoster {
       const token = await this.authenticate();
       if (!token) {
         logger.error("❌ Authentication failed, cannot post to Terminus");
-        return;
+        return false;
       }
 
       const screenId = await this.getScreenId();
@@ -193,7 +306,7 @@ class TerminusPoster {
           "❌ ERROR: generateEpaperSVG() returned HTML instead of SVG!",
         );
         logger.error("🔍 This suggests the SVG generation method is broken");
-        return;
+        return false;
       }
 
       // Generate HTML wrapper for SVG
@@ -203,11 +316,11 @@ class TerminusPoster {
       const data = {
         screen: {
           content: htmlContent,
-          file_name: `foxhole-epaper-${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, "0")}-${now.getDate().toString().padStart(2, "0")}-${now.getHours().toString().padStart(2, "0")}-${now.getMinutes().toString().padStart(2, "0")}.png`,
+          file_name: `foxhole-${this.hex ? `hex-${this.hex.toLowerCase()}` : "epaper"}${this.generator.getOutputSuffix()}-${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, "0")}-${now.getDate().toString().padStart(2, "0")}-${now.getHours().toString().padStart(2, "0")}-${now.getMinutes().toString().padStart(2, "0")}.png`,
           model_id: "1",
-          label: "Foxhole E-Paper Map",
-          name: "foxhole_epaper_dashboard",
-          bit_depth: parseInt(TERMINUS_BIT_DEPTH),
+          label: this.getScreenLabel(),
+          name: this.screenName,
+          bit_depth: TERMINUS_IMAGE === "png" ? this.raster.bits : this.bitDepth,
         },
       };
 
@@ -249,7 +362,7 @@ class TerminusPoster {
         const result = await response.json();
         const screenData = result.data;
         logger.info(
-          `✅ Dashboard published (${screenData.width}x${screenData.height}, ${Math.round(screenData.size / 1024)}KB)`
+          `✅ ${this.shard.name} dashboard published (${screenData.width}x${screenData.height}, ${Math.round(screenData.size / 1024)}KB)`
         );
         logger.debug("Full response:", result);
 
@@ -258,6 +371,7 @@ class TerminusPoster {
           this.screenId = result.data.id;
           logger.debug(`Saved new screen ID: ${this.screenId}`);
         }
+        return true;
       } else {
         const errorText = await response.text();
         logger.error(
@@ -276,24 +390,21 @@ class TerminusPoster {
             return await this.postToTerminus(svgContent);
           }
         }
+        return false;
       }
     } catch (error) {
       logger.error("Error posting to Terminus:", error);
+      return false;
     }
   }
 
   async generateAndPost() {
     try {
-      logger.info("Generating Foxhole e-paper SVG...");
+      logger.info(`Generating Foxhole e-paper SVG for ${this.shard.name}...`);
 
-      // Generate the SVG
+      // Fetch the data, then post if the dashboard changed
       await this.generator.fetchAllMapData();
-      const svg = this.generator.generateEpaperSVG();
-
-      // Convert SVG to PNG and post to Terminus
-      await this.postToTerminus(svg);
-
-      logger.info("E-paper HTML posted to Terminus successfully");
+      await this.postIfChanged();
     } catch (error) {
       logger.error("Error in generateAndPost:", error);
     }
@@ -318,8 +429,8 @@ class TerminusPoster {
             padding: 0;
             background: white;
             font-family: Arial, sans-serif;
-            width: 800px;
-            height: 480px;
+            width: ${this.profile.width}px;
+            height: ${this.profile.height}px;
             overflow: hidden;
         }
         .svg-container {
@@ -338,13 +449,17 @@ class TerminusPoster {
     </style>
 </head>
 <body>
-    <div class="svg-container">
+    ${
+      TERMINUS_IMAGE === "png"
+        ? this.generateImageTag(svgContent)
+        : `<div class="svg-container">
         <div id="foxhole-map-svg"></div>
         <script>
             // Insert the SVG content directly (same approach as working Python template)
             document.getElementById('foxhole-map-svg').innerHTML = \`${svgContent}\`;
         </script>
-    </div>
+    </div>`
+    }
 </body>
 </html>`;
 
@@ -355,44 +470,28 @@ class TerminusPoster {
     }
   }
 
+  // The dashboard as an inline PNG, already dithered to the screen's depth
+  generateImageTag(svgContent) {
+    const image = renderBitmap(svgContent, this.raster);
+    return `<img src="data:image/png;base64,${image.toString("base64")}" width="${this.profile.width}" height="${this.profile.height}" style="display: block; image-rendering: pixelated;">`;
+  }
+
   // Method to generate and post with fresh conquer status from data updater
   async generateAndPostWithFreshData(conquerStatus) {
     try {
       // Set the fresh conquer status on the generator (same as web UI)
       this.generator.conquerStatus = conquerStatus;
 
-      // Generate the SVG (same logic as web UI)
+      // Fetch the data (same logic as web UI), then post if it changed
       await this.generator.fetchAllMapData();
-
-      let svg;
-      try {
-        svg = this.generator.generateEpaperSVG();
-      } catch (error) {
-        logger.error("SVG generation failed:", error);
-        throw error;
-      }
-
-      // Post SVG to Terminus
-      await this.postToTerminus(svg);
+      await this.postIfChanged();
     } catch (error) {
       logger.error("Error in generateAndPostWithFreshData:", error);
     }
   }
 
   async start() {
-    logger.info("Starting Terminus poster service...");
-
-    // Handle graceful shutdown
-    process.on("SIGINT", () => {
-      logger.info("Graceful shutdown requested");
-      process.exit(0);
-    });
-
-    process.on("SIGTERM", () => {
-      logger.info("Graceful shutdown requested");
-      process.exit(0);
-    });
-
+    logger.info(`Starting Terminus poster service for ${this.shard.name}...`);
     logger.info(
       "Service started. Will post only when data updates. Press Ctrl+C to stop.",
     );
@@ -406,6 +505,15 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     logger.error("Failed to start service:", error);
     process.exit(1);
   });
+
+  // The server stops its posters itself; run alone, this one owns the process
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, async () => {
+      logger.info("Graceful shutdown requested");
+      await poster.stop();
+      process.exit(0);
+    });
+  }
 }
 
 export default TerminusPoster;
@@ -0,0 +1,162 @@
+// Territory shapes for the map: town cells dissolved into one shape per
+// owner, and the frontline where two owners' territory meets. Everything is
+// in world coordinates; the generator projects it for the panel.
+
+import * as turf from "@turf/turf";
+import { createHash } from "crypto";
+import logger from "./logger.js";
+
+// Rings smaller than this (square world units) are slivers left where
+// clipped cells don't quite meet, not real holes
+const SLIVER_AREA = 1;
+
+// Two edges closer than this (world units, ~1/20 px at 800x480) lie on
+// the same border
+const TOLERANCE = 1;
+
+// Dissolving every cell takes about half a second on a small box, and
+// ownership rarely changes between renders, so results are kept by cell set
+const CACHE_SIZE = 64;
+const cache = new Map();
+
+function memo(key, compute) {
+  if (cache.has(key)) {
+    const value = cache.get(key);
+    cache.delete(key);
+    cache.set(key, value);
+    return value;
+  }
+  const value = compute();
+  cache.set(key, value);
+  if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+  return value;
+}
+
+const cellsKey = (cells) =>
+  createHash("sha1")
+    .update(cells.map((cell) => cell.id).sort().join("\n"))
+    .digest("hex");
+
+const ringArea = (ring) => {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return Math.abs(area / 2);
+};
+
+// Polygons ([outer, ...holes]) of a Polygon or MultiPolygon geometry
+const polygonsOf = (geometry) =>
+  geometry.type === "MultiPolygon" ? geometry.coordinates : [geometry.coordinates];
+
+// Union of the cells ({ id, geometry }) as a list of polygons, each an outer
+// ring followed by its holes. Cells that can't be merged are returned as
+// they are, which only costs the interior borders.
+export function dissolve(cells) {
+  if (cells.length === 0) return [];
+  if (cells.length === 1) return polygonsOf(cells[0].geometry);
+
+  return memo(`dissolve:${cellsKey(cells)}`, () => {
+    try {
+      const merged = turf.union(
+        turf.featureCollection(cells.map((cell) => turf.feature(cell.geometry))),
+      );
+      if (!merged) return [];
+      return polygonsOf(merged.geometry)
+        .map((rings) => rings.filter((ring) => ringArea(ring) >= SLIVER_AREA))
+        .filter((rings) => rings.length > 0);
+    } catch (error) {
+      logger.warn(`Failed to dissolve ${cells.length} cells:`, error.message);
+      return cells.flatMap((cell) => polygonsOf(cell.geometry));
+    }
+  });
+}
+
+// Edges of the polygons' rings as [start, end, bbox]
+function edgesOf(polygons) {
+  const edges = [];
+  for (const rings of polygons) {
+    for (const ring of rings) {
+      for (let i = 0; i < ring.length - 1; i++) {
+        const [a, b] = [ring[i], ring[i + 1]];
+        edges.push([
+          a,
+          b,
+          [
+            Math.min(a[0], b[0]) - TOLERANCE,
+            Math.min(a[1], b[1]) - TOLERANCE,
+            Math.max(a[0], b[0]) + TOLERANCE,
+            Math.max(a[1], b[1]) + TOLERANCE,
+          ],
+        ]);
+      }
+    }
+  }
+  return edges;
+}
+
+// Where the first polygons' outline runs along the second's, as polylines.
+// Edges only have to be collinear and overlap, not share vertices, so
+// borders between cells clipped to different hexes are found too.
+export function sharedBorder(first, second) {
+  if (first.length === 0 || second.length === 0) return [];
+
+  const firstEdges = edgesOf(first);
+  const secondEdges = edgesOf(second);
+  const segments = [];
+
+  for (const [a, b, box] of firstEdges) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const length = Math.hypot(dx, dy);
+    if (length === 0) continue;
+
+    // Parts of a-b covered by the other outline, as [t0, t1] along it
+    const spans = [];
+    for (const [c, d, other] of secondEdges) {
+      if (other[0] > box[2] || other[2] < box[0] || other[1] > box[3] || other[3] < box[1]) {
+        continue;
+      }
+      const offset = (p) => Math.abs((p[0] - a[0]) * dy - (p[1] - a[1]) * dx) / length;
+      if (offset(c) > TOLERANCE || offset(d) > TOLERANCE) continue;
+
+      const along = (p) => ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / (length * length);
+      const t0 = Math.max(0, Math.min(along(c), along(d)));
+      const t1 = Math.min(1, Math.max(along(c), along(d)));
+      if ((t1 - t0) * length > TOLERANCE) spans.push([t0, t1]);
+    }
+
+    spans.sort(([x], [y]) => x - y);
+    let current = null;
+    for (const span of spans) {
+      if (current && span[0] * length <= current[1] * length + TOLERANCE) {
+        current[1] = Math.max(current[1], span[1]);
+      } else {
+        if (current) segments.push(current.map((t) => [a[0] + dx * t, a[1] + dy * t]));
+        current = [...span];
+      }
+    }
+    if (current) segments.push(current.map((t) => [a[0] + dx * t, a[1] + dy * t]));
+  }
+
+  // Segments come in ring order, so runs of touching ones chain up
+  const near = (p, q) => Math.abs(p[0] - q[0]) <= TOLERANCE && Math.abs(p[1] - q[1]) <= TOLERANCE;
+  const lines = [];
+  for (const [start, end] of segments) {
+    const line = lines[lines.length - 1];
+    if (line && near(line[line.length - 1], start)) {
+      line.push(end);
+    } else {
+      lines.push([start, end]);
+    }
+  }
+  return lines;
+}
+
+// Frontline between two teams' cells, kept with their dissolved territory
+export function frontline(firstCells, secondCells) {
+  if (firstCells.length === 0 || secondCells.length === 0) return [];
+  return memo(`frontline:${cellsKey(firstCells)}:${cellsKey(secondCells)}`, () =>
+    sharedBorder(dissolve(firstCells), dissolve(secondCells)),
+  );
+}
@@ -0,0 +1,229 @@
+// Colour schemes for the dashboard. A theme sets the palette for text and
+// background, the fill of town cells per team, the hex backgrounds (whose
+// patterns go into the SVG's <defs>), stroke weights, the font and how
+// recent captures stand out:
+// - fade "alpha": a town's fill starts opaque when it changes hands and
+//   fades to `settled` alpha over `over` milliseconds
+// - fade "pattern": towns captured within `over` use the `fills` given
+//   instead, for panels that can't show translucency
+// Town cells are dissolved into territory: `cellStroke` outlines each
+// team's territory, `hexBorder` is drawn over it and `frontline` marks
+// where Warden and Colonial territory meet (its width scales with the
+// profile's font scale).
+// `markers` paint the town icons of the hex detail view, whose labels sit
+// on `labelBackground` chips.
+export const THEMES = {
+  grayscale: {
+    name: "Grayscale e-paper",
+    background: "white",
+    text: "#000000",
+    alert: "#CC0000",
+    font: "'Segoe UI', sans-serif",
+    teams: {
+      WARDENS: "#404040",
+      COLONIALS: "#A0A0A0",
+      NEUTRAL: "#F0F0F0",
+    },
+    cellStroke: "rgba(0, 0, 0, 0.8)",
+    cellStrokeWidth: 1,
+    hexBorder: { stroke: "#FFFFFF", width: 1 },
+    frontline: { stroke: "#000000", width: 3 },
+    ruleWidth: 1,
+    fade: { mode: "alpha", recent: 0xff, settled: 0xbb, over: 86400000 },
+    markers: {
+      WARDENS: { fill: "#404040", stroke: "#000000", strokeWidth: 1 },
+      COLONIALS: { fill: "#A0A0A0", stroke: "#000000", strokeWidth: 1 },
+      NEUTRAL: { fill: "#FFFFFF", stroke: "#000000", strokeWidth: 1 },
+    },
+    labelBackground: "#FFFFFF",
+    regions: {
+      colonial: { fill: "url(#colonialPattern)", stroke: "#666666" },
+      warden: { fill: "url(#wardenPattern)", stroke: "#333333" },
+      neutral: { fill: "url(#neutralPattern)", stroke: "#CCCCCC" },
+      contested: { fill: "url(#contestedPattern)", stroke: "#404040" },
+      inactive: { fill: "url(#inactivePattern)", stroke: "#666666" },
+    },
+    regionStrokeWidth: 1,
+    patterns: {
+      colonialPattern: {
+        size: 8,
+        content: `<rect width="8" height="8" fill="#E0E0E0"/>
+      <circle cx="2" cy="2" r="0.5" fill="#CCCCCC"/>
+      <circle cx="6" cy="6" r="0.5" fill="#CCCCCC"/>`,
+      },
+      wardenPattern: {
+        size: 8,
+        content: `<rect width="8" height="8" fill="#808080"/>
+      <rect x="2" y="2" width="1" height="1" fill="#666666"/>
+      <rect x="5" y="5" width="1" height="1" fill="#666666"/>`,
+      },
+      neutralPattern: {
+        size: 8,
+        content: `<rect width="8" height="8" fill="#F5F5F5"/>
+      <line x1="0" y1="0" x2="8" y2="8" stroke="#E0E0E0" stroke-width="0.5"/>
+      <line x1="8" y1="0" x2="0" y2="8" stroke="#E0E0E0" stroke-width="0.5"/>`,
+      },
+      contestedPattern: {
+        size: 8,
+        content: `<rect width="8" height="8" fill="#B0B0B0"/>
+      <circle cx="4" cy="4" r="1" fill="#909090"/>`,
+      },
+      inactivePattern: {
+        size: 15,
+        content: `<rect width="15" height="15" fill="#FFFFFF"/>
+      <line x1="0" y1="0" x2="15" y2="15" stroke="#999999" stroke-width="1.5"/>
+      <line x1="0" y1="15" x2="15" y2="0" stroke="#999999" stroke-width="1.5"/>
+      <circle cx="7.5" cy="7.5" r="1.5" fill="#666666"/>`,
+      },
+    },
+  },
+
+  // Faction colours as used in-game and by the web UI, for browsers
+  color: {
+    name: "Faction colours",
+    background: "#F7F5EF",
+    text: "#1A1A1A",
+    alert: "#B22222",
+    font: "'Segoe UI', sans-serif",
+    teams: {
+      WARDENS: "#245682",
+      COLONIALS: "#516C4B",
+      NEUTRAL: "#E8E4D8",
+    },
+    cellStroke: "rgba(40, 40, 40, 0.6)",
+    cellStrokeWidth: 0.8,
+    hexBorder: { stroke: "#F7F5EF", width: 1 },
+    frontline: { stroke: "#1A1A1A", width: 3 },
+    ruleWidth: 1,
+    fade: { mode: "alpha", recent: 0xff, settled: 0xbb, over: 86400000 },
+    markers: {
+      WARDENS: { fill: "#245682", stroke: "#1A1A1A", strokeWidth: 1 },
+      COLONIALS: { fill: "#516C4B", stroke: "#1A1A1A", strokeWidth: 1 },
+      NEUTRAL: { fill: "#FFFFFF", stroke: "#666666", strokeWidth: 1 },
+    },
+    labelBackground: "#F7F5EF",
+    regions: {
+      colonial: { fill: "#C9D6C6", stroke: "#516C4B" },
+      warden: { fill: "#C3D3E4", stroke: "#245682" },
+      neutral: { fill: "#EFEBE0", stroke: "#BDB8A8" },
+      contested: { fill: "url(#contestedPattern)", stroke: "#555555" },
+      inactive: { fill: "url(#inactivePattern)", stroke: "#888888" },
+    },
+    regionStrokeWidth: 1,
+    patterns: {
+      contestedPattern: {
+        size: 8,
+        content: `<rect width="8" height="8" fill="#C3D3E4"/>
+      <polygon points="0,0 8,0 0,8" fill="#C9D6C6"/>`,
+      },
+      inactivePattern: {
+        size: 15,
+        content: `<rect width="15" height="15" fill="#F7F5EF"/>
+      <line x1="0" y1="0" x2="15" y2="15" stroke="#AAAAAA" stroke-width="1.5"/>
+      <line x1="0" y1="15" x2="15" y2="0" stroke="#AAAAAA" stroke-width="1.5"/>`,
+      },
+    },
+  },
+
+  // Pure black and white: teams differ by hatch direction and density
+  // rather than by gray level, so nothing depends on dithering. Patterns
+  // are whole-pixel squares to stay crisp at one bit.
+  mono: {
+    name: "High-contrast 1-bit",
+    background: "#FFFFFF",
+    text: "#000000",
+    alert: "#000000",
+    font: "'Segoe UI', sans-serif",
+    teams: {
+      WARDENS: "url(#wardenHatch)",
+      COLONIALS: "url(#colonialHatch)",
+      NEUTRAL: "#FFFFFF",
+    },
+    cellStroke: "#000000",
+    cellStrokeWidth: 1,
+    hexBorder: { stroke: "#FFFFFF", width: 1 },
+    frontline: { stroke: "#000000", width: 3 },
+    ruleWidth: 2,
+    fade: {
+      mode: "pattern",
+      over: 86400000,
+      fills: {
+        WARDENS: "url(#wardenHatchRecent)",
+        COLONIALS: "url(#colonialHatchRecent)",
+      },
+    },
+    markers: {
+      WARDENS: { fill: "#000000", stroke: "#000000", strokeWidth: 1 },
+      COLONIALS: { fill: "#FFFFFF", stroke: "#000000", strokeWidth: 2, dot: true },
+      NEUTRAL: { fill: "#FFFFFF", stroke: "#000000", strokeWidth: 1 },
+    },
+    labelBackground: "#FFFFFF",
+    regions: {
+      colonial: { fill: "url(#colonialHatch)", stroke: "#000000" },
+      warden: { fill: "url(#wardenHatch)", stroke: "#000000" },
+      neutral: { fill: "#FFFFFF", stroke: "#000000" },
+      contested: { fill: "url(#contestedHatch)", stroke: "#000000" },
+      inactive: { fill: "url(#inactiveHatch)", stroke: "#000000" },
+    },
+    regionStrokeWidth: 1.5,
+    patterns: {
+      // Dense "\" stripes, half black
+      wardenHatch: {
+        size: 4,
+        content: `<rect width="4" height="4" fill="#FFFFFF"/>
+      <rect x="0" y="0" width="2" height="1" fill="#000000"/>
+      <rect x="1" y="1" width="2" height="1" fill="#000000"/>
+      <rect x="2" y="2" width="2" height="1" fill="#000000"/>
+      <rect x="3" y="3" width="1" height="1" fill="#000000"/>
+      <rect x="0" y="3" width="1" height="1" fill="#000000"/>`,
+      },
+      // Sparse "/" lines, a quarter black
+      colonialHatch: {
+        size: 4,
+        content: `<rect width="4" height="4" fill="#FFFFFF"/>
+      <rect x="3" y="0" width="1" height="1" fill="#000000"/>
+      <rect x="2" y="1" width="1" height="1" fill="#000000"/>
+      <rect x="1" y="2" width="1" height="1" fill="#000000"/>
+      <rect x="0" y="3" width="1" height="1" fill="#000000"/>`,
+      },
+      // Recently captured: Warden solid, Colonial cross-hatched
+      wardenHatchRecent: {
+        size: 4,
+        content: `<rect width="4" height="4" fill="#000000"/>`,
+      },
+      colonialHatchRecent: {
+        size: 4,
+        content: `<rect width="4" height="4" fill="#FFFFFF"/>
+      <rect x="0" y="0" width="1" height="1" fill="#000000"/>
+      <rect x="1" y="1" width="1" height="1" fill="#000000"/>
+      <rect x="2" y="2" width="1" height="1" fill="#000000"/>
+      <rect x="3" y="3" width="1" height="1" fill="#000000"/>
+      <rect x="3" y="0" width="1" height="1" fill="#000000"/>
+      <rect x="2" y="1" width="1" height="1" fill="#000000"/>
+      <rect x="1" y="2" width="1" height="1" fill="#000000"/>
+      <rect x="0" y="3" width="1" height="1" fill="#000000"/>`,
+      },
+      contestedHatch: {
+        size: 4,
+        content: `<rect width="4" height="4" fill="#FFFFFF"/>
+      <rect x="0" y="0" width="1" height="1" fill="#000000"/>
+      <rect x="2" y="2" width="1" height="1" fill="#000000"/>`,
+      },
+      inactiveHatch: {
+        size: 8,
+        content: `<rect width="8" height="8" fill="#FFFFFF"/>
+      <rect x="0" y="0" width="8" height="1" fill="#000000"/>`,
+      },
+    },
+  },
+};
+
+export const DEFAULT_THEME = "grayscale";
+
+export function getTheme(theme = process.env.DISPLAY_THEME || DEFAULT_THEME) {
+  const config = THEMES[theme];
+  if (!config) {
+    throw new Error(`Unknown theme: ${theme}`);
+  }
+  return { id: theme, ...config };
+}
@@ -0,0 +1,173 @@
+import { toWorldCoordinates } from "./static-data.js";
+
+// Canonical town identity shared by the tracker, the renderer and the
+// captures list.
+//
+// A town is keyed by its hex plus the name of the Voronoi cell it sits in,
+// e.g. "ReachingTrailHex/Brodytown". Unlike the old iconType_x_y ids this
+// survives town hall tier upgrades (iconType 56 -> 57 -> 58) and small
+// coordinate changes, since anything inside the same cell resolves to the
+// same key.
+
+const KEY_SEPARATOR = "/";
+
+// Ray casting point-in-polygon test on one ring
+function insideRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function insideGeometry(point, geometry) {
+  const polygons =
+    geometry.type === "MultiPolygon"
+      ? geometry.coordinates
+      : [geometry.coordinates];
+  return polygons.some((polygon) => polygon[0] && insideRing(point, polygon[0]));
+}
+
+function distance([ax, ay], [bx, by]) {
+  return Math.hypot(ax - bx, ay - by);
+}
+
+export function townKey(hexId, cellName) {
+  return `${hexId}${KEY_SEPARATOR}${cellName}`;
+}
+
+// Canonical keys contain the separator, legacy iconType_x_y ids never do
+export function isCanonicalKey(id) {
+  return typeof id === "string" && id.includes(KEY_SEPARATOR);
+}
+
+// Split a canonical key back into its hex and town name
+export function parseTownKey(key) {
+  const index = key.indexOf(KEY_SEPARATOR);
+  return { hexId: key.slice(0, index), name: key.slice(index + 1) };
+}
+
+// Recover iconType and hex-relative coordinates from a legacy id
+export function parseLegacyTownId(id) {
+  const match = /^(\d+)_(-?\d+)_(-?\d+)$/.exec(id);
+  if (!match) return null;
+  return {
+    iconType: parseInt(match[1]),
+    x: parseInt(match[2]) / 1000,
+    y: parseInt(match[3]) / 1000,
+  };
+}
+
+// The id towns were stored under before the registry existed. Still used
+// for towns in hexes without Voronoi cells.
+export function legacyTownId(iconType, x, y) {
+  return `${iconType}_${Math.round(x * 1000)}_${Math.round(y * 1000)}`;
+}
+
+class TownRegistry {
+  constructor(hexRegistry) {
+    this.hexRegistry = hexRegistry;
+  }
+
+  // Voronoi cell a town (hex-relative 0-1 coordinates) falls in. Towns on a
+  // cell edge or just outside the hex outline go to the nearest Major label.
+  findCell(hexId, x, y) {
+    const hex = this.hexRegistry.getHex(hexId);
+    if (!hex || !hex.voronoiRegions.length) return null;
+
+    const point = toWorldCoordinates(x, y, hex.regionGeometry);
+    const cell = hex.voronoiRegions.find((region) =>
+      insideGeometry(point, region.geometry),
+    );
+    if (cell) return cell;
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const label of hex.mapTextItems) {
+      if (label.properties.type !== "Major") continue;
+      const labelDistance = distance(point, label.geometry.coordinates);
+      if (labelDistance < nearestDistance) {
+        nearest = label;
+        nearestDistance = labelDistance;
+      }
+    }
+    if (!nearest) return null;
+
+    return (
+      hex.voronoiRegions.find(
+        (region) => region.properties.notes === nearest.properties.notes,
+      ) || null
+    );
+  }
+
+  // Canonical key for one town, falling back to the legacy id when the hex
+  // has no cells to resolve against
+  resolve(hexId, { iconType, x, y }) {
+    const cell = this.findCell(hexId, x, y);
+    return cell
+      ? townKey(hexId, cell.properties.notes)
+      : legacyTownId(iconType, x, y);
+  }
+
+  // Keys for every town of one hex. Should two towns land in the same cell,
+  // the one nearest to the cell's label keeps the plain key and the others
+  // are told apart by their legacy id.
+  resolveHex(hexId, towns) {
+    const hex = this.hexRegistry.getHex(hexId);
+    const keys = towns.map((town) => this.resolve(hexId, town));
+
+    const seen = new Map();
+    keys.forEach((key, index) => {
+      if (!isCanonicalKey(key)) return;
+      if (!seen.has(key)) seen.set(key, []);
+      seen.get(key).push(index);
+    });
+
+    for (const [key, indexes] of seen) {
+      if (indexes.length < 2) continue;
+
+      const { name } = parseTownKey(key);
+      const label = hex.mapTextItems.find(
+        (item) => item.properties.type === "Major" && item.properties.notes === name,
+      );
+      const distanceToLabel = (index) => {
+        const town = towns[index];
+        return label
+          ? distance(
+              toWorldCoordinates(town.x, town.y, hex.regionGeometry),
+              label.geometry.coordinates,
+            )
+          : 0;
+      };
+
+      indexes
+        .sort((a, b) => distanceToLabel(a) - distanceToLabel(b))
+        .slice(1)
+        .forEach((index) => {
+          const { iconType, x, y } = towns[index];
+          keys[index] = `${key}@${legacyTownId(iconType, x, y)}`;
+        });
+    }
+
+    return keys;
+  }
+
+  // Hex and town names for display
+  describe(key) {
+    if (!isCanonicalKey(key)) return null;
+
+    const { hexId, name } = parseTownKey(key);
+    const hex = this.hexRegistry.getHex(hexId);
+    return {
+      hexId,
+      hexName: hex ? hex.name : hexId,
+      townName: name.split("@")[0],
+    };
+  }
+}
+
+export default TownRegistry;
@@ -0,0 +1,64 @@
+import logger from "./logger.js";
+
+// Events emitted by the data updater. Every payload carries
+// { type, shard, warNumber, pollId, observedAt } plus the fields noted here.
+export const WarEvents = Object.freeze({
+  // { townId, region, notes, fromTeam, toTeam }
+  TOWN_CAPTURED: "townCaptured",
+  // { townId, region, notes, fromTeam }
+  TOWN_NEUTRALISED: "townNeutralised",
+  // { previous, current, required }, each side being { colonial, warden }
+  VICTORY_POINTS_CHANGED: "victoryPointsChanged",
+  // { hexId, from, to }, controllers as in getRegionControl
+  HEX_CONTROL_CHANGED: "hexControlChanged",
+  // { resistanceStartTime, winner }
+  RESISTANCE_STARTED: "resistanceStarted",
+  // { winner, conquestEndTime }
+  WAR_ENDED: "warEnded",
+  // { previousWarNumber }
+  NEW_WAR: "newWar",
+  // { changeset }, once per poll cycle after the events above
+  CYCLE_COMPLETE: "cycleComplete",
+});
+
+export const WAR_EVENT_TYPES = Object.values(WarEvents);
+
+// Subscribe one listener to every event type. Returns a function that
+// removes it again.
+export function onWarEvents(emitter, listener) {
+  for (const type of WAR_EVENT_TYPES) emitter.on(type, listener);
+  return () => {
+    for (const type of WAR_EVENT_TYPES) emitter.off(type, listener);
+  };
+}
+
+const teamName = (team) => team || "Neutral";
+
+function describeEvent(event) {
+  switch (event.type) {
+    case WarEvents.TOWN_CAPTURED:
+      return `Town captured: ${event.notes || event.townId} (${event.region}) ${teamName(event.fromTeam)} -> ${event.toTeam}`;
+    case WarEvents.TOWN_NEUTRALISED:
+      return `Town neutralised: ${event.notes || event.townId} (${event.region}), was ${event.fromTeam}`;
+    case WarEvents.VICTORY_POINTS_CHANGED:
+      return `Victory points: Colonials ${event.current.colonial}, Wardens ${event.current.warden}${event.required ? ` of ${event.required}` : ""}`;
+    case WarEvents.HEX_CONTROL_CHANGED:
+      return `Hex control: ${event.hexId} ${event.from} -> ${event.to}`;
+    case WarEvents.RESISTANCE_STARTED:
+      return `Resistance phase started in war ${event.warNumber}`;
+    case WarEvents.WAR_ENDED:
+      return `War ${event.warNumber} ended, winner: ${event.winner}`;
+    case WarEvents.NEW_WAR:
+      return `New war ${event.warNumber} started (was ${event.previousWarNumber})`;
+    default:
+      return null;
+  }
+}
+
+// Log every event except the cycle summary, which the updater logs itself
+export function logWarEvents(emitter) {
+  return onWarEvents(emitter, (event) => {
+    const message = describeEvent(event);
+    if (message) logger.info(message);
+  });
+}
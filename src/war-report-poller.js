@@ -0,0 +1,78 @@
+import logger from "./logger.js";
+import PollScheduler from "./poll-scheduler.js";
+
+// Polls worldconquest/warReport/{hex} for every live hex and stores the
+// casualty and enlistment counters as a time series next to the towns table.
+// Hexes are fetched one after another, so polls run on a setTimeout chain
+// and a slow War API delays the next poll instead of overlapping it.
+class WarReportPoller {
+  constructor(tracker, warApi, hexRegistry) {
+    this.tracker = tracker;
+    this.warApi = warApi;
+    this.hexRegistry = hexRegistry;
+    this.pollInterval =
+      parseInt(process.env.WAR_REPORT_INTERVAL || "300") * 1000; // 5 minutes
+    this.reportETags = new Map(); // Last report version stored per hex
+    this.scheduler = new PollScheduler(
+      "War report poller",
+      () => this.poll(),
+      () => ({ interval: this.pollInterval, reason: "war report interval" }),
+    );
+  }
+
+  get isRunning() {
+    return this.scheduler.isRunning;
+  }
+
+  async start() {
+    await this.scheduler.start();
+  }
+
+  stop() {
+    this.scheduler.stop();
+  }
+
+  async poll() {
+    try {
+      if (!this.hexRegistry.refreshedAt) {
+        await this.hexRegistry.refresh();
+      }
+
+      let warNumber = null;
+      try {
+        warNumber = (await this.warApi.war()).warNumber;
+      } catch (error) {
+        logger.warn("War report poll: failed to fetch war number:", error.message);
+      }
+
+      let stored = 0;
+      for (const hex of this.hexRegistry.getLiveHexes()) {
+        try {
+          const { data, etag, changed } = await this.warApi.warReportIfChanged(
+            hex.id,
+            this.reportETags.get(hex.id),
+          );
+          if (!changed) continue;
+
+          const result = this.tracker.recordWarReport(hex.id, data, warNumber);
+          stored += result.changes;
+          this.reportETags.set(hex.id, etag);
+        } catch (error) {
+          if (error.circuitOpen) {
+            logger.warn("War API circuit open, ending war report poll early");
+            break;
+          }
+          if (!error.notFound) {
+            logger.warn(`Failed to fetch war report for ${hex.id}:`, error.message);
+          }
+        }
+      }
+
+      logger.debug(`War report poll complete. ${stored} new reports stored.`);
+    } catch (error) {
+      logger.error("Error polling war reports:", error);
+    }
+  }
+}
+
+export default WarReportPoller;
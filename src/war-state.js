@@ -0,0 +1,61 @@
+// Rules for reading war state out of a hex's dynamic map, shared by the
+// renderer and the updater's change events so both agree
+
+// Victory base types: 45 (Relic Base), 56-58 (Town Halls)
+const VICTORY_BASE_TYPES = [45, 56, 57, 58];
+// Victory base flag: 32 (bit flag to identify victory towns)
+const VICTORY_BASE_FLAG = 32;
+
+export function isVictoryTown(iconType, flags) {
+  return VICTORY_BASE_TYPES.includes(iconType) && flags & VICTORY_BASE_FLAG;
+}
+
+// Who controls a hex: "colonial", "warden", "contested" or "neutral"
+export function getRegionControl(warApi, dynamicData) {
+  if (!dynamicData || !dynamicData.mapItems) return "neutral";
+
+  // Count towns controlled by each team
+  let colonialTowns = 0;
+  let wardenTowns = 0;
+  let totalTowns = 0;
+
+  for (const item of dynamicData.mapItems) {
+    if (warApi.isIconType(item.iconType)) {
+      const iconInfo = warApi.iconTypes[item.iconType];
+      if (iconInfo.conquer) {
+        totalTowns++;
+        if (item.teamId === "COLONIALS") colonialTowns++;
+        else if (item.teamId === "WARDENS") wardenTowns++;
+      }
+    }
+  }
+
+  // Determine region control with contested state
+  if (totalTowns === 0) return "neutral";
+
+  const colonialPercent = colonialTowns / totalTowns;
+  const wardenPercent = wardenTowns / totalTowns;
+
+  // If one team has significantly more control (>60%), they control the region
+  if (colonialPercent >= 0.6) return "colonial";
+  if (wardenPercent >= 0.6) return "warden";
+
+  // If it's close or mixed, mark as contested
+  if (colonialTowns > 0 && wardenTowns > 0) return "contested";
+
+  // Default fallback
+  if (colonialTowns > wardenTowns) return "colonial";
+  if (wardenTowns > colonialTowns) return "warden";
+  return "neutral";
+}
+
+// Victory towns held by each team in one hex
+export function countVictoryPoints(dynamicData) {
+  const points = { colonial: 0, warden: 0 };
+  for (const item of dynamicData?.mapItems || []) {
+    if (!isVictoryTown(item.iconType, item.flags)) continue;
+    if (item.teamId === "COLONIALS") points.colonial++;
+    else if (item.teamId === "WARDENS") points.warden++;
+  }
+  return points;
+}
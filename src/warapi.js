@@ -1,59 +1,299 @@
+import logger from "./logger.js";
+
+// Retry and circuit breaker settings, overridable through the environment
+const MAX_RETRIES = parseInt(process.env.WARAPI_MAX_RETRIES || "3");
+const RETRY_BASE_DELAY = parseInt(process.env.WARAPI_RETRY_BASE_DELAY || "500"); // ms
+const RETRY_MAX_DELAY = parseInt(process.env.WARAPI_RETRY_MAX_DELAY || "10000"); // ms
+const BREAKER_THRESHOLD = parseInt(process.env.WARAPI_BREAKER_THRESHOLD || "5");
+const BREAKER_COOLDOWN = parseInt(process.env.WARAPI_BREAKER_COOLDOWN || "60000"); // ms
+const REQUEST_TIMEOUT = parseInt(process.env.WARAPI_TIMEOUT || "10000"); // ms
+
+// Error raised by WarApi requests. `transient` failures (network errors, 5xx,
+// 429, open circuit) mean "keep the last known data"; a 404 means the hex is
+// not part of the war right now (e.g. inactive during resistance).
+export class WarApiError extends Error {
+  constructor(message, { status = null, transient = false, circuitOpen = false } = {}) {
+    super(message);
+    this.name = "WarApiError";
+    this.status = status;
+    this.transient = transient;
+    this.circuitOpen = circuitOpen;
+  }
+
+  get notFound() {
+    return this.status === 404;
+  }
+}
+
+function isTransientStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Full jitter: a random delay between 0 and the capped exponential backoff
+function backoffDelay(attempt) {
+  const cap = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+  return Math.floor(Math.random() * cap);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Per-host circuit breaker. After BREAKER_THRESHOLD consecutive failed
+// requests the circuit opens and requests fail fast until the cooldown has
+// passed; then a single trial request decides whether it closes again.
+class CircuitBreaker {
+  constructor(host) {
+    this.host = host;
+    this.state = "closed";
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  canRequest() {
+    if (this.state === "closed") return true;
+
+    if (this.state === "open" && Date.now() - this.openedAt >= BREAKER_COOLDOWN) {
+      this.state = "half-open";
+      logger.info(`War API circuit for ${this.host} half-open, sending trial request`);
+    }
+
+    if (this.state === "half-open" && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state !== "closed") {
+      logger.info(`War API circuit for ${this.host} closed, requests resumed`);
+    }
+    this.state = "closed";
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+    this.trialInFlight = false;
+
+    if (this.state === "half-open" || this.consecutiveFailures >= BREAKER_THRESHOLD) {
+      if (this.state !== "open") {
+        logger.warn(
+          `War API circuit for ${this.host} opened after ${this.consecutiveFailures} failures; pausing requests for ${Math.round(BREAKER_COOLDOWN / 1000)}s`,
+        );
+      }
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt:
+        this.state === "open"
+          ? new Date(this.openedAt + BREAKER_COOLDOWN).toISOString()
+          : null,
+      lastError: this.lastError,
+    };
+  }
+}
+
+// Breakers are shared by every client talking to the same host
+const circuitBreakers = new Map();
+
+function getCircuitBreaker(host) {
+  if (!circuitBreakers.has(host)) {
+    circuitBreakers.set(host, new CircuitBreaker(host));
+  }
+  return circuitBreakers.get(host);
+}
+
+// When the War API produced a response, from its Date and Age headers (a
+// cache in front of it adds Age); null without a Date header
+function responseServedAt(response) {
+  const date = Date.parse(response.headers.get("date"));
+  if (Number.isNaN(date)) return null;
+  const age = parseInt(response.headers.get("age"));
+  return date - (Number.isNaN(age) ? 0 : age * 1000);
+}
+
 // Simplified War API client for SVG generation
 export class WarApi {
   constructor(shardUrl = "war-service-live.foxholeservices.com") {
     this.shardUrl = shardUrl;
     this.eTags = {};
+    this.responseCache = {}; // Last body received for each path
+    this.circuitBreaker = getCircuitBreaker(shardUrl);
   }
 
   async request(path) {
-    const response = await fetch(`https://${this.shardUrl}/api/${path}`, {
-      headers: {
-        "Content-Type": "application/json",
-        "User-Agent": "foxhole-svg-generator",
-      },
-    });
+    const { data } = await this.conditionalRequest(path);
+    return data;
+  }
+
+  // Request a path with If-None-Match when we already hold a cached body.
+  // Transient failures are retried with jittered exponential backoff; the
+  // whole request counts as one success or failure for the circuit breaker.
+  async conditionalRequest(path) {
+    if (!this.circuitBreaker.canRequest()) {
+      throw new WarApiError(`War API circuit open for ${this.shardUrl}`, {
+        transient: true,
+        circuitOpen: true,
+      });
+    }
+
+    let lastError = null;
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+      if (attempt > 0) {
+        const delay = lastError.retryAfter ?? backoffDelay(attempt);
+        logger.debug(
+          `Retrying ${path} in ${delay}ms (attempt ${attempt + 1}/${MAX_RETRIES + 1}): ${lastError.message}`,
+        );
+        await sleep(delay);
+      }
+
+      try {
+        const result = await this.fetchOnce(path);
+        this.circuitBreaker.recordSuccess();
+        return result;
+      } catch (error) {
+        lastError = error;
+        if (!error.transient) {
+          // A definitive answer (404 etc.) still proves the host is up
+          this.circuitBreaker.recordSuccess();
+          throw error;
+        }
+      }
+    }
+
+    logger.warn(
+      `War API request ${path} failed after ${MAX_RETRIES + 1} attempts: ${lastError.message}`,
+    );
+    this.circuitBreaker.recordFailure(lastError);
+    throw lastError;
+  }
+
+  async fetchOnce(path) {
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": "foxhole-svg-generator",
+    };
+
+    const cachedETag = this.eTags[path];
+    if (cachedETag && path in this.responseCache) {
+      headers["If-None-Match"] = cachedETag;
+    }
+
+    // The timeout covers the whole request, body included
+    const signal = AbortSignal.timeout(REQUEST_TIMEOUT);
+    const requestFailed = (error) =>
+      new WarApiError(
+        `API request failed: ${error.name === "TimeoutError" ? `timed out after ${REQUEST_TIMEOUT}ms` : error.message}`,
+        { transient: true },
+      );
+
+    let response;
+    try {
+      response = await fetch(`https://${this.shardUrl}/api/${path}`, {
+        headers,
+        signal,
+      });
+    } catch (error) {
+      throw requestFailed(error);
+    }
+
+    if (response.status === 304 && path in this.responseCache) {
+      return {
+        data: this.responseCache[path],
+        etag: cachedETag,
+        notModified: true,
+        servedAt: responseServedAt(response),
+      };
+    }
 
     if (response.ok) {
-      return await response.json();
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        throw requestFailed(error);
+      }
+      const etag = response.headers.get("etag");
+      if (etag) {
+        this.eTags[path] = etag;
+      } else {
+        delete this.eTags[path];
+      }
+      this.responseCache[path] = data;
+      return { data, etag, notModified: false, servedAt: responseServedAt(response) };
+    }
+
+    const error = new WarApiError(`API request failed: ${response.status}`, {
+      status: response.status,
+      transient: isTransientStatus(response.status),
+    });
+    const retryAfter = parseInt(response.headers.get("retry-after"));
+    if (!isNaN(retryAfter)) {
+      error.retryAfter = Math.min(retryAfter * 1000, RETRY_MAX_DELAY);
     }
-    throw new Error(`API request failed: ${response.status}`);
+    throw error;
+  }
+
+  // Last successfully fetched body for a path, used to keep showing known
+  // data while the API is having a hiccup
+  cached(path) {
+    return this.responseCache[path] ?? null;
+  }
+
+  // Circuit breaker state for logs and the /health endpoint
+  getHealth() {
+    return {
+      host: this.shardUrl,
+      circuit: this.circuitBreaker.getState(),
+    };
   }
 
   async staticMap(hexId) {
     return await this.request(`worldconquest/maps/${hexId}/static`);
   }
 
+  // Get the static map (label positions) of every hex in the maps list.
+  // The endpoint returns { regionId, mapTextItems, version, ... } per hex;
+  // results are keyed by hex name, with hexes that failed to load listed
+  // separately so callers can report them.
   async getStaticMap() {
-    // Get all regions static data
     const maps = await this.maps();
-    const allStaticData = [];
+    const hexes = {};
+    const failed = [];
 
     // Handle different possible response formats
     const mapList = Array.isArray(maps) ? maps : maps.maps || [];
 
     for (const map of mapList) {
-      try {
-        const mapName = map.name || map;
-        if (!mapName) {
-          console.warn("Skipping map with no name:", map);
-          continue;
-        }
+      const mapName = map.name || map;
+      if (!mapName) {
+        logger.warn("Skipping map with no name:", map);
+        continue;
+      }
 
-        const staticData = await this.staticMap(mapName);
-        if (Array.isArray(staticData)) {
-          allStaticData.push(...staticData);
-        } else if (staticData && Array.isArray(staticData.features)) {
-          allStaticData.push(...staticData.features);
-        }
+      try {
+        hexes[mapName] = await this.staticMap(mapName);
       } catch (error) {
-        console.warn(
-          `Failed to fetch static data for ${map.name || map}:`,
-          error.message,
-        );
+        logger.warn(`Failed to fetch static data for ${mapName}:`, error.message);
+        failed.push(mapName);
       }
     }
 
-    return { features: allStaticData };
+    return { hexes, failed };
   }
 
   async dynamicMap(hexId) {
@@ -64,6 +304,39 @@ export class WarApi {
     return await this.dynamicMap(hexId);
   }
 
+  cachedDynamicMap(hexId) {
+    return this.cached(`worldconquest/maps/${hexId}/dynamic/public`);
+  }
+
+  // Fetch a path and report whether it changed since the version the
+  // caller last saw. Callers keep the returned etag and pass it back on the
+  // next poll, so several consumers can share one client (and its cache)
+  // without stealing each other's change notifications.
+  async requestIfChanged(path, knownETag = null) {
+    const { data, etag, servedAt } = await this.conditionalRequest(path);
+    const changed = !etag || etag !== knownETag;
+    return { data, etag, changed, servedAt };
+  }
+
+  async dynamicMapIfChanged(hexId, knownETag = null) {
+    return await this.requestIfChanged(
+      `worldconquest/maps/${hexId}/dynamic/public`,
+      knownETag,
+    );
+  }
+
+  // Per-hex casualties, enlistments and day of war
+  async warReport(hexId) {
+    return await this.request(`worldconquest/warReport/${hexId}`);
+  }
+
+  async warReportIfChanged(hexId, knownETag = null) {
+    return await this.requestIfChanged(
+      `worldconquest/warReport/${hexId}`,
+      knownETag,
+    );
+  }
+
   async war() {
     return await this.request("worldconquest/war");
   }